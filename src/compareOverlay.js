@@ -0,0 +1,100 @@
+// Compare Overlay
+// Wipe line and side labels drawn over the viewer while an A/B snapshot is
+// held. The line can be dragged in wipe mode; in split mode it marks the
+// boundary between the two half-width views.
+
+// State sections listed when describing how the live options differ from the snapshot
+const COMPARED_SECTIONS = [
+    'bumpOptions',
+    'normalOptions',
+    'aoOptions',
+    'albedoOptions',
+    'emissionOptions',
+    'roughnessOptions',
+    'metalnessOptions',
+    'tilingOptions',
+    'displacementOptions',
+    'flags'
+];
+
+/**
+ * List the options that differ between the snapshot and the live state
+ * @param {Object} reference - Options held with the snapshot
+ * @param {Object} current - Live state
+ * @returns {Array<string>} One "section.key: before → after" line per change
+ */
+export function describeOptionChanges(reference, current) {
+    const lines = [];
+    COMPARED_SECTIONS.forEach(section => {
+        const before = reference[section] || {};
+        const after = current[section] || {};
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach(key => {
+            const a = JSON.stringify(before[key]);
+            const b = JSON.stringify(after[key]);
+            if (a !== b) lines.push(`${section}.${key}: ${a} → ${b}`);
+        });
+    });
+    return lines;
+}
+
+export class CompareOverlay {
+    /**
+     * @param {StateManager} stateManager
+     * @param {HTMLElement} container - Full-window overlay holding the divider and labels
+     */
+    constructor(stateManager, container) {
+        this.stateManager = stateManager;
+        this.container = container;
+        this.divider = container.querySelector('.compare-divider');
+        this.leftLabel = container.querySelector('.compare-label-left');
+        this.rightLabel = container.querySelector('.compare-label-right');
+        this.active = false;
+        this.dragging = false;
+
+        this.divider.addEventListener('pointerdown', (event) => {
+            if (this.stateManager.getState('compare').mode !== 'wipe') return;
+            this.divider.setPointerCapture(event.pointerId);
+            this.dragging = true;
+        });
+        this.divider.addEventListener('pointermove', (event) => {
+            if (!this.dragging) return;
+            const position = Math.min(1, Math.max(0, event.clientX / window.innerWidth));
+            this.stateManager.updateState({ compare: { position } });
+        });
+        const stopDragging = (event) => {
+            if (!this.dragging) return;
+            this.dragging = false;
+            this.divider.releasePointerCapture(event.pointerId);
+        };
+        this.divider.addEventListener('pointerup', stopDragging);
+        this.divider.addEventListener('pointercancel', stopDragging);
+
+        this.stateManager.subscribeToSection('compare', () => this.update());
+        this.update();
+    }
+
+    /**
+     * Show or hide the overlay
+     * @param {boolean} active - Whether a snapshot is held
+     */
+    setActive(active) {
+        this.active = active;
+        this.update();
+    }
+
+    /**
+     * Place the divider and labels for the current compare settings
+     */
+    update() {
+        const { mode, position, swapped } = this.stateManager.getState('compare');
+        this.container.style.display = this.active ? 'block' : 'none';
+        if (!this.active) return;
+
+        const x = mode === 'split' ? 0.5 : position;
+        this.divider.style.left = `${x * 100}%`;
+        this.divider.classList.toggle('draggable', mode === 'wipe');
+        this.leftLabel.textContent = swapped ? 'B · live' : 'A · snapshot';
+        this.rightLabel.textContent = swapped ? 'A · snapshot' : 'B · live';
+    }
+}
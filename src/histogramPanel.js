@@ -0,0 +1,226 @@
+// Histogram Panel
+// Value distribution and statistics of one generated map. Maps with a
+// threshold get draggable markers that drive the threshold slider: for the
+// bump map the band around neutral grey the threshold flattens, for the
+// emission map the luminance cut-off, drawn over the source luminance it applies to.
+
+import { computeMapStatistics, STATISTICS_CHANNELS } from './js/mapStatistics.js';
+
+// Pixels around a marker that start a drag
+const MARKER_GRAB_DISTANCE = 6;
+
+/**
+ * Threshold markers per map type
+ * - slider: id of the threshold slider the markers drive
+ * - positions(state): marker positions in 0..255
+ * - valueAt(x, state): slider value for a marker dragged to x
+ * - background: histogram drawn behind the map's own, if the threshold acts on another image
+ */
+const THRESHOLD_MARKERS = {
+    // Responses within ±threshold stay at 128; the rest are scaled by heightScale
+    bump: {
+        slider: 'threshold',
+        positions: state => {
+            const { threshold, heightScale } = state.bumpOptions;
+            const offset = threshold * heightScale;
+            return [128 - offset, 128 + offset];
+        },
+        valueAt: (x, state) => Math.abs(x - 128) / (state.bumpOptions.heightScale || 1)
+    },
+    emission: {
+        slider: 'emissionThreshold',
+        positions: state => [state.emissionOptions.threshold * 255],
+        valueAt: x => x / 255,
+        background: 'source'
+    }
+};
+
+export class HistogramPanel {
+    /**
+     * @param {StateManager} stateManager
+     * @param {Object} elements
+     * @param {HTMLCanvasElement} elements.canvas - Histogram canvas
+     * @param {HTMLElement} elements.stats - Element for the statistics text
+     * @param {HTMLSelectElement} elements.mapSelect - Map type selector
+     * @param {function(string): Promise<ImageData|null>} getMapData - Pixels of a map type, or of 'source'
+     */
+    constructor(stateManager, { canvas, stats, mapSelect }, getMapData) {
+        this.stateManager = stateManager;
+        this.canvas = canvas;
+        this.statsElement = stats;
+        this.mapSelect = mapSelect;
+        this.getMapData = getMapData;
+
+        this.stats = null;
+        this.background = null;
+        this._dragging = false;
+        this._updateId = 0;
+
+        mapSelect.addEventListener('change', () => this.update());
+        this._bindMarkers();
+
+        // Keep the markers on the sliders when those are moved directly
+        ['bumpOptions', 'emissionOptions'].forEach(section => {
+            this.stateManager.subscribeToSection(section, (changes) => {
+                if (changes.some(change => change.key === 'threshold' || change.key === 'heightScale')) this.draw();
+            });
+        });
+    }
+
+    /**
+     * @returns {string} Map type the panel shows
+     */
+    get mapType() {
+        return this.mapSelect.value;
+    }
+
+    /**
+     * Recompute the statistics of the selected map
+     * @returns {Promise<void>}
+     */
+    async update() {
+        const mapType = this.mapType;
+        const updateId = ++this._updateId;
+        const markers = THRESHOLD_MARKERS[mapType];
+
+        const [map, background] = await Promise.all([
+            this.getMapData(mapType),
+            markers?.background ? this.getMapData(markers.background) : null
+        ]);
+        // A newer update started meanwhile
+        if (updateId !== this._updateId) return;
+
+        this.stats = map ? computeMapStatistics(map, STATISTICS_CHANNELS[mapType]) : null;
+        this.background = background
+            ? computeMapStatistics(background, STATISTICS_CHANNELS[markers.background])
+            : null;
+        this.draw();
+    }
+
+    /**
+     * Drag markers to set the threshold slider
+     * @private
+     */
+    _bindMarkers() {
+        this.canvas.addEventListener('pointerdown', (event) => {
+            const markers = THRESHOLD_MARKERS[this.mapType];
+            if (!markers || !this.stats) return;
+            const x = this._canvasX(event);
+            const positions = markers.positions(this.stateManager.getState()).map(value => this._valueToX(value));
+            if (!positions.some(position => Math.abs(position - x) <= MARKER_GRAB_DISTANCE)) return;
+
+            this._dragging = true;
+            this.canvas.setPointerCapture(event.pointerId);
+        });
+        this.canvas.addEventListener('pointermove', (event) => {
+            if (this._dragging) this._setThreshold(this._xToValue(this._canvasX(event)), false);
+        });
+        const stopDragging = (event) => {
+            if (!this._dragging) return;
+            this._dragging = false;
+            this.canvas.releasePointerCapture(event.pointerId);
+            this._setThreshold(this._xToValue(this._canvasX(event)), true);
+        };
+        this.canvas.addEventListener('pointerup', stopDragging);
+        this.canvas.addEventListener('pointercancel', stopDragging);
+    }
+
+    /**
+     * Move the threshold slider through its own listeners, so the value label,
+     * the state and (on release) the map regeneration follow as for a manual drag
+     * @private
+     * @param {number} x - Marker position in 0..255
+     * @param {boolean} final - Whether the drag ended
+     */
+    _setThreshold(x, final) {
+        const markers = THRESHOLD_MARKERS[this.mapType];
+        const slider = markers && document.getElementById(markers.slider);
+        if (!slider) return;
+
+        const value = markers.valueAt(x, this.stateManager.getState());
+        const min = parseFloat(slider.min), max = parseFloat(slider.max), step = parseFloat(slider.step) || 0.01;
+        const clamped = Math.min(max, Math.max(min, Math.round(value / step) * step));
+        slider.value = clamped.toFixed(4);
+        slider.dispatchEvent(new Event('input'));
+        if (final) slider.dispatchEvent(new Event('change'));
+    }
+
+    /** @private */
+    _canvasX(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return (event.clientX - rect.left) * this.canvas.width / rect.width;
+    }
+
+    /** @private */
+    _valueToX(value) {
+        return (value + 0.5) * this.canvas.width / 256;
+    }
+
+    /** @private */
+    _xToValue(x) {
+        return Math.min(255, Math.max(0, x * 256 / this.canvas.width - 0.5));
+    }
+
+    /**
+     * Draw the histogram, markers and statistics
+     */
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+        ctx.fillRect(0, 0, width, height);
+
+        if (!this.stats) {
+            this.statsElement.textContent = `No ${this.mapType} map generated`;
+            return;
+        }
+
+        if (this.background) this._drawHistogram(ctx, this.background.histogram, 'rgba(160, 160, 160, 0.35)');
+        this._drawHistogram(ctx, this.stats.histogram, 'rgba(120, 190, 255, 0.9)');
+
+        const markers = THRESHOLD_MARKERS[this.mapType];
+        if (markers) {
+            ctx.strokeStyle = '#ffcc00';
+            ctx.lineWidth = 2;
+            markers.positions(this.stateManager.getState()).forEach(value => {
+                const x = this._valueToX(Math.min(255, Math.max(0, value)));
+                ctx.beginPath();
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, height);
+                ctx.stroke();
+            });
+        }
+
+        const { min, max, mean, clippedLow, clippedHigh, neutral } = this.stats;
+        const percent = value => `${(value * 100).toFixed(2)}%`;
+        const lines = [
+            `min ${min}  max ${max}  mean ${mean.toFixed(1)}`,
+            `clipped at 0: ${percent(clippedLow)}  at 255: ${percent(clippedHigh)}`
+        ];
+        if (this.mapType === 'bump') lines.push(`neutral (128): ${percent(neutral)}`);
+        if (this.background) lines.push('grey: source luminance (threshold input)');
+        this.statsElement.textContent = lines.join('\n');
+    }
+
+    /**
+     * Bars on a log scale, so a spike (e.g. the neutral grey of the bump map)
+     * does not flatten the rest of the distribution
+     * @private
+     */
+    _drawHistogram(ctx, histogram, color) {
+        const { width, height } = this.canvas;
+        let peak = 0;
+        histogram.forEach(count => { peak = Math.max(peak, count); });
+        if (peak === 0) return;
+
+        const scale = height / Math.log1p(peak);
+        const barWidth = width / 256;
+        ctx.fillStyle = color;
+        histogram.forEach((count, value) => {
+            if (count === 0) return;
+            const barHeight = Math.max(1, Math.log1p(count) * scale);
+            ctx.fillRect(value * barWidth, height - barHeight, Math.max(1, barWidth), barHeight);
+        });
+    }
+}
@@ -1,21 +1,57 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
 import { ThreeJsDoGBumpMapper } from './js/DoGBumpMapper.js';
 import { ThreeJsBumpToNormalMapper } from './js/BumpToNormalMapper.js';
+import { ThreeJsAmbientOcclusionMapper } from './js/AmbientOcclusionMapper.js';
 import { ThreeJsAlbedoMapper } from './js/albedoMapper.js';
 import { ThreeJsEmissionMapper } from './js/emissionMapper.js';
+import { ThreeJsRoughnessMapper } from './js/roughnessMapper.js';
+import { ThreeJsMetalnessMapper } from './js/metalnessMapper.js';
+import { MapWorkerClient } from './js/mapWorkerClient.js';
+import { sourceImageCache } from './js/sourceImageCache.js';
+import { MapPipeline } from './js/mapPipeline.js';
+import { flipGreen } from './js/exportPresets.js';
+import { DEFAULT_ROUGHNESS, DEFAULT_METALNESS } from './js/materialDefaults.js';
+import { createUVCheckerOverlay } from './js/uvChecker.js';
+import { createPreviewGeometry, loadModelGeometry } from './js/previewGeometry.js';
+import { createEnvironment, loadEnvironmentFile, LightRig } from './js/lighting.js';
 import { StateManager } from './stateManager.js';
 import { UserInterface } from './userInterface.js';
 import './css/styles.css';
 
 // Global variables
 let scene, camera, renderer, controls;
-let plane;
+let plane;                      // Preview mesh; a plane unless another geometry is selected
+let uvCheckerOverlay = null;
+let customModelGeometry = null; // Last uploaded model, kept while other shapes are shown
+let previewGeometryKey = null;  // Shape and subdivision plane.geometry was built for
+let pmremGenerator, lightRig;
+let environmentTarget = null;       // PMREM target behind scene.environment
+let customEnvironmentTarget = null; // Last loaded HDRI, kept while other environments are shown
+let environmentKey = null;          // Environment environmentTarget was built for
+let compareSnapshot = null;         // A/B reference: { state, material } with the maps and options it was taken with
 let stateManager;
 let userInterface;
 let clock;
 let frameCount = 0;
 
+// Footprint of the preview meshes
+const PLANE_SIZE = 4;
+
+// Scene background when the environment is not shown
+const BACKGROUND_COLOR = new THREE.Color(0x333333);
+
+// Runs the map generation pipeline off the main thread
+const mapWorker = new MapWorkerClient();
+
+// Caches each stage's output so only stale stages are recomputed
+const mapPipeline = new MapPipeline();
+
+// The live map generation run ({ id, controller }) and a counter to label runs
+let activeRun = null;
+let runCounter = 0;
+
 // Debounce helper
 function debounce(func, wait) {
     let timeout;
@@ -27,7 +63,7 @@ function debounce(func, wait) {
 }
 
 // Apply bump map
-async function applyBumpMap() {
+function applyBumpMap(bumpData, elapsedMs, heightField = null) {
     const state = stateManager.getState();
     const bumpOptions = state.bumpOptions;
     const imageUrl = state.resources.imageUrl;
@@ -42,16 +78,14 @@ async function applyBumpMap() {
         currentBumpTexture.dispose();
     }
 
-    const start = performance.now();
     try {
-        if (!imageUrl) throw new Error("No image URL provided");
-        const bumpTexture = await ThreeJsDoGBumpMapper.applyToMesh(plane, imageUrl, bumpOptions);
-        const elapsed = (performance.now() - start).toFixed(1);
+        if (!bumpData) throw new Error("No bump map data was generated");
+        const bumpTexture = ThreeJsDoGBumpMapper.applyDataToMesh(plane, bumpData, bumpOptions, heightField);
         if (!bumpTexture || !bumpTexture.image) throw new Error("Failed to create bump texture");
         const w = bumpTexture.image.width, h = bumpTexture.image.height;
         console.log(`Texture size: ${w}×${h}`);
         console.log(`Bump scale: ${bumpOptions.bumpScale}`);
-        console.log(`⏱️ Completed in ${elapsed}ms`);
+        console.log(`⏱️ Generated in ${elapsedMs.toFixed(1)}ms (worker)`);
         console.log("%c[BumpMap] Success ✅", "color: green;");
         
         // Update texture in state
@@ -70,7 +104,7 @@ async function applyBumpMap() {
 }
 
 // Apply normal map
-async function applyNormalMap(bumpTexture) {
+function applyNormalMap(normalData, elapsedMs, vectors = null) {
     const state = stateManager.getState();
     const normalOptions = state.normalOptions;
     
@@ -83,16 +117,14 @@ async function applyNormalMap(bumpTexture) {
         currentNormalTexture.dispose();
     }
 
-    const start = performance.now();
     try {
-        if (!bumpTexture || !bumpTexture.image) throw new Error("Invalid bump texture provided");
-        const normalTexture = await ThreeJsBumpToNormalMapper.applyToMesh(plane, bumpTexture, normalOptions);
-        const elapsed = (performance.now() - start).toFixed(1);
+        if (!normalData) throw new Error("No normal map data was generated");
+        const normalTexture = ThreeJsBumpToNormalMapper.applyDataToMesh(plane, normalData, normalOptions, vectors);
         if (!normalTexture || !normalTexture.image) throw new Error("Failed to create normal texture");
         const w = normalTexture.image.width, h = normalTexture.image.height;
         console.log(`Normal texture size: ${w}×${h}`);
         console.log(`Normal scale: ${normalOptions.normalScale}`);
-        console.log(`⏱️ Completed in ${elapsed}ms`);
+        console.log(`⏱️ Generated in ${elapsedMs.toFixed(1)}ms (worker)`);
         console.log("%c[NormalMap] Success ✅", "color: green;");
         
         // Update texture in state
@@ -116,11 +148,49 @@ async function applyNormalMap(bumpTexture) {
     }
 }
 
+// Apply ambient occlusion map
+function applyAOMap(aoData, elapsedMs) {
+    const state = stateManager.getState();
+    const aoOptions = state.aoOptions;
+    
+    console.groupCollapsed("%c[AOMap] Applying new ambient occlusion map", "color: dimgray; font-weight:bold");
+    console.log("Options:", Object.assign({}, aoOptions));
+
+    const currentAOTexture = state.textures.aoTexture;
+    if (currentAOTexture) {
+        console.log("Disposing previous AO texture");
+        currentAOTexture.dispose();
+    }
+
+    try {
+        if (!aoData) throw new Error("No AO map data was generated");
+        const aoTexture = ThreeJsAmbientOcclusionMapper.applyDataToMesh(plane, aoData, aoOptions);
+        if (!aoTexture || !aoTexture.image) throw new Error("Failed to create AO texture");
+        const w = aoTexture.image.width, h = aoTexture.image.height;
+        console.log(`AO texture size: ${w}×${h}`);
+        console.log(`Radius: ${aoOptions.radius}px, samples: ${aoOptions.samples}`);
+        console.log(`⏱️ Generated in ${elapsedMs.toFixed(1)}ms (worker)`);
+        console.log("%c[AOMap] Success ✅", "color: green;");
+        
+        // Update texture in state
+        stateManager.updateState({
+            textures: { aoTexture }
+        });
+        
+        return aoTexture;
+    } catch (error) {
+        console.error("%c[AOMap] Failed ❌", "color: red; font-weight:bold", error);
+        userInterface.showErrorMessage(`Failed to create AO map: ${error.message}`);
+        throw error;
+    } finally {
+        console.groupEnd();
+    }
+}
+
 // Apply albedo map
-async function applyAlbedoMap() {
+function applyAlbedoMap(albedoData, elapsedMs) {
     const state = stateManager.getState();
     const albedoOptions = state.albedoOptions;
-    const imageUrl = state.resources.imageUrl;
     
     console.groupCollapsed("%c[AlbedoMap] Applying new albedo map", "color: teal; font-weight:bold");
     console.log("Options:", Object.assign({}, albedoOptions));
@@ -131,15 +201,13 @@ async function applyAlbedoMap() {
         currentAlbedoTexture.dispose();
     }
 
-    const start = performance.now();
     try {
-        if (!imageUrl) throw new Error("No image URL provided");
-        const albedoTexture = await ThreeJsAlbedoMapper.applyToMesh(plane, imageUrl, albedoOptions);
-        const elapsed = (performance.now() - start).toFixed(1);
+        if (!albedoData) throw new Error("No albedo map data was generated");
+        const albedoTexture = ThreeJsAlbedoMapper.applyDataToMesh(plane, albedoData, albedoOptions);
         if (!albedoTexture || !albedoTexture.image) throw new Error("Failed to create albedo texture");
         const w = albedoTexture.image.width, h = albedoTexture.image.height;
         console.log(`Albedo texture size: ${w}×${h}`);
-        console.log(`⏱️ Completed in ${elapsed}ms`);
+        console.log(`⏱️ Generated in ${elapsedMs.toFixed(1)}ms (worker)`);
         console.log("%c[AlbedoMap] Success ✅", "color: green;");
         
         // Update texture in state
@@ -158,10 +226,9 @@ async function applyAlbedoMap() {
 }
 
 // Apply emission map
-async function applyEmissionMap() {
+function applyEmissionMap(emissionData, elapsedMs) {
     const state = stateManager.getState();
     const emissionOptions = state.emissionOptions;
-    const imageUrl = state.resources.imageUrl;
     
     console.groupCollapsed("%c[EmissionMap] Applying new emission map", "color: orange; font-weight:bold");
     console.log("Options:", Object.assign({}, emissionOptions));
@@ -172,15 +239,13 @@ async function applyEmissionMap() {
         currentEmissionTexture.dispose();
     }
 
-    const start = performance.now();
     try {
-        if (!imageUrl) throw new Error("No image URL provided");
-        const emissionTexture = await ThreeJsEmissionMapper.applyToMesh(plane, imageUrl, emissionOptions);
-        const elapsed = (performance.now() - start).toFixed(1);
+        if (!emissionData) throw new Error("No emission map data was generated");
+        const emissionTexture = ThreeJsEmissionMapper.applyDataToMesh(plane, emissionData, emissionOptions);
         if (!emissionTexture || !emissionTexture.image) throw new Error("Failed to create emission texture");
         const w = emissionTexture.image.width, h = emissionTexture.image.height;
         console.log(`Emission texture size: ${w}×${h}`);
-        console.log(`⏱️ Completed in ${elapsed}ms`);
+        console.log(`⏱️ Generated in ${elapsedMs.toFixed(1)}ms (worker)`);
         console.log("%c[EmissionMap] Success ✅", "color: green;");
         
         // Update texture in state
@@ -198,35 +263,394 @@ async function applyEmissionMap() {
     }
 }
 
-// Combined applyMaps
-async function applyMaps() {
+// Apply roughness map
+function applyRoughnessMap(roughnessData, elapsedMs) {
     const state = stateManager.getState();
+    const roughnessOptions = state.roughnessOptions;
     
-    // Check if processing is already in progress
-    if (state.flags.processingInProgress) {
+    console.groupCollapsed("%c[RoughnessMap] Applying new roughness map", "color: slategray; font-weight:bold");
+    console.log("Options:", Object.assign({}, roughnessOptions));
+
+    const currentRoughnessTexture = state.textures.roughnessTexture;
+    if (currentRoughnessTexture) {
+        console.log("Disposing previous roughness texture");
+        currentRoughnessTexture.dispose();
+    }
+
+    try {
+        if (!roughnessData) throw new Error("No roughness map data was generated");
+        const roughnessTexture = ThreeJsRoughnessMapper.applyDataToMesh(plane, roughnessData, roughnessOptions);
+        if (!roughnessTexture || !roughnessTexture.image) throw new Error("Failed to create roughness texture");
+        const w = roughnessTexture.image.width, h = roughnessTexture.image.height;
+        console.log(`Roughness texture size: ${w}×${h}`);
+        console.log(`Mode: ${roughnessOptions.mode}`);
+        console.log(`⏱️ Generated in ${elapsedMs.toFixed(1)}ms (worker)`);
+        console.log("%c[RoughnessMap] Success ✅", "color: green;");
+        
+        // Update texture in state
         stateManager.updateState({
-            flags: { pendingUpdate: true }
+            textures: { roughnessTexture }
         });
-        return;
+        
+        return roughnessTexture;
+    } catch (error) {
+        console.error("%c[RoughnessMap] Failed ❌", "color: red; font-weight:bold", error);
+        userInterface.showErrorMessage(`Failed to create roughness map: ${error.message}`);
+        throw error;
+    } finally {
+        console.groupEnd();
     }
+}
+
+// Apply metalness map
+function applyMetalnessMap(metalnessData, elapsedMs) {
+    const state = stateManager.getState();
+    const metalnessOptions = state.metalnessOptions;
     
-    stateManager.updateState({
-        flags: { processingInProgress: true }
+    console.groupCollapsed("%c[MetalnessMap] Applying new metalness map", "color: goldenrod; font-weight:bold");
+    console.log("Options:", Object.assign({}, metalnessOptions));
+
+    const currentMetalnessTexture = state.textures.metalnessTexture;
+    if (currentMetalnessTexture) {
+        console.log("Disposing previous metalness texture");
+        currentMetalnessTexture.dispose();
+    }
+
+    try {
+        if (!metalnessData) throw new Error("No metalness map data was generated");
+        const metalnessTexture = ThreeJsMetalnessMapper.applyDataToMesh(plane, metalnessData, metalnessOptions);
+        if (!metalnessTexture || !metalnessTexture.image) throw new Error("Failed to create metalness texture");
+        const w = metalnessTexture.image.width, h = metalnessTexture.image.height;
+        console.log(`Metalness texture size: ${w}×${h}`);
+        console.log(`Mode: ${metalnessOptions.mode}`);
+        console.log(`⏱️ Generated in ${elapsedMs.toFixed(1)}ms (worker)`);
+        console.log("%c[MetalnessMap] Success ✅", "color: green;");
+        
+        // Update texture in state
+        stateManager.updateState({
+            textures: { metalnessTexture }
+        });
+        
+        return metalnessTexture;
+    } catch (error) {
+        console.error("%c[MetalnessMap] Failed ❌", "color: red; font-weight:bold", error);
+        userInterface.showErrorMessage(`Failed to create metalness map: ${error.message}`);
+        throw error;
+    } finally {
+        console.groupEnd();
+    }
+}
+
+// Give the preview mesh the selected shape and subdivision level.
+// Returns true when the geometry was swapped.
+function rebuildPreviewGeometry() {
+    if (!plane) return false;
+    const state = stateManager.getState();
+    // An uploaded model does not survive a reload
+    const type = state.preview.geometry === 'custom' && !customModelGeometry ? 'plane' : state.preview.geometry;
+    const segments = Math.round(state.displacementOptions.segments);
+    const key = type === 'custom' ? 'custom' : `${type}|${segments}`;
+    if (key === previewGeometryKey) return false;
+
+    const geometry = type === 'custom'
+        ? customModelGeometry
+        : createPreviewGeometry(type, segments, PLANE_SIZE);
+    // Second UV set for the AO map
+    ThreeJsAmbientOcclusionMapper.ensureSecondaryUVs(geometry);
+
+    if (plane.geometry !== customModelGeometry) plane.geometry.dispose();
+    plane.geometry = geometry;
+    previewGeometryKey = key;
+    console.log(`[Preview] Mesh rebuilt as ${key} (${geometry.getAttribute('position').count} vertices)`);
+    return true;
+}
+
+// Swap the mesh and put the generated maps back on it
+function swapPreviewGeometry() {
+    if (!rebuildPreviewGeometry()) return;
+    updateDisplacement();
+    setVisualizationMode(stateManager.getState('visualization').activeMap);
+}
+
+const debouncedSwapPreviewGeometry = debounce(swapPreviewGeometry, 200);
+
+// Prefilter the selected environment and light the scene with it
+function updateEnvironment() {
+    let { environment } = stateManager.getState('lighting');
+    // A loaded HDRI does not survive a reload
+    if (environment === 'custom' && !customEnvironmentTarget) environment = 'none';
+    if (environment === environmentKey) return;
+
+    if (environmentTarget && environmentTarget !== customEnvironmentTarget) environmentTarget.dispose();
+    if (environment === 'custom') {
+        environmentTarget = customEnvironmentTarget;
+    } else if (environment !== 'none') {
+        environmentTarget = createEnvironment(pmremGenerator, environment);
+    } else {
+        environmentTarget = null;
+    }
+    scene.environment = environmentTarget ? environmentTarget.texture : null;
+    environmentKey = environment;
+    console.log(`[Lighting] Environment: ${environment}`);
+}
+
+// Environment intensity, rotation and background, and the rig lights
+function updateLighting() {
+    const lighting = stateManager.getState('lighting');
+    const rotation = THREE.MathUtils.degToRad(lighting.environmentRotation);
+
+    scene.environmentIntensity = lighting.environmentIntensity;
+    scene.environmentRotation.set(0, rotation, 0);
+    if (lighting.showBackground && scene.environment) {
+        scene.background = scene.environment;
+        scene.backgroundIntensity = lighting.environmentIntensity;
+        scene.backgroundRotation.set(0, rotation, 0);
+    } else {
+        scene.background = BACKGROUND_COLOR;
+    }
+    lightRig.update(lighting);
+}
+
+// Load a local .hdr/.exr panorama as the environment
+async function loadPreviewEnvironment(file) {
+    const target = await loadEnvironmentFile(pmremGenerator, file);
+    const previous = customEnvironmentTarget;
+    customEnvironmentTarget = target;
+    environmentKey = null;
+
+    // Selecting 'custom' again does not change state, so update directly
+    stateManager.updateState({ lighting: { environment: 'custom', environmentName: file.name } });
+    updateEnvironment();
+    updateLighting();
+    if (previous && previous !== environmentTarget) previous.dispose();
+}
+
+// Load a user's OBJ/GLB model and show the material on it
+async function loadPreviewModel(file) {
+    const geometry = await loadModelGeometry(file, PLANE_SIZE);
+    const previous = customModelGeometry;
+    customModelGeometry = geometry;
+    previewGeometryKey = null;
+
+    // Selecting 'custom' again does not change state, so swap directly
+    stateManager.updateState({ preview: { geometry: 'custom', modelName: file.name } });
+    swapPreviewGeometry();
+    if (previous && previous !== plane.geometry) previous.dispose();
+}
+
+// Displace the plane by the bump texture. The bias moves the midlevel grey back to zero.
+function updateDisplacement() {
+    if (!plane?.material) return;
+    applyDisplacement(plane.material, stateManager.getState());
+    syncUVCheckerOverlay();
+}
+
+// Set a material's displacement from the bump texture and options of a state
+function applyDisplacement(material, state) {
+    const { scale, midlevel } = state.displacementOptions;
+    const bumpTexture = state.textures.bumpTexture;
+
+    if (state.flags.useDisplacementMap && bumpTexture) {
+        material.displacementMap = bumpTexture;
+        material.displacementScale = scale;
+        material.displacementBias = -scale * midlevel;
+    } else {
+        material.displacementMap = null;
+        material.displacementScale = 1;
+        material.displacementBias = 0;
+    }
+    material.needsUpdate = true;
+}
+
+// Apply the preview repeat and offset to every map and to the UV checker
+function updatePreviewTransform() {
+    const { repeatX, repeatY, offsetX, offsetY } = stateManager.getState('preview');
+    const textures = Object.values(stateManager.getState('textures'));
+    if (uvCheckerOverlay) textures.push(uvCheckerOverlay.material.emissiveMap);
+    if (compareSnapshot) textures.push(...Object.values(compareSnapshot.state.textures));
+    textures.forEach(texture => {
+        if (!texture) return;
+        texture.repeat.set(repeatX, repeatY);
+        texture.offset.set(offsetX, offsetY);
     });
-    userInterface.showLoadingIndicator(true);
+}
+
+// Add or remove the UV checker overlay on the plane
+function updateUVChecker() {
+    if (!plane) return;
+    const { uvChecker } = stateManager.getState('preview');
+
+    if (uvChecker && !uvCheckerOverlay) {
+        uvCheckerOverlay = createUVCheckerOverlay(plane);
+        plane.add(uvCheckerOverlay);
+        syncUVCheckerOverlay();
+        updatePreviewTransform();
+    } else if (!uvChecker && uvCheckerOverlay) {
+        plane.remove(uvCheckerOverlay);
+        uvCheckerOverlay.material.emissiveMap.dispose();
+        uvCheckerOverlay.material.dispose();
+        uvCheckerOverlay = null;
+    }
+}
+
+// Keep the overlay on the plane's current geometry and displaced surface
+function syncUVCheckerOverlay() {
+    if (!uvCheckerOverlay || !plane) return;
+    const overlayMaterial = uvCheckerOverlay.material;
+    uvCheckerOverlay.geometry = plane.geometry;
+    overlayMaterial.displacementMap = plane.material.displacementMap;
+    overlayMaterial.displacementScale = plane.material.displacementScale;
+    overlayMaterial.displacementBias = plane.material.displacementBias;
+    overlayMaterial.needsUpdate = true;
+}
+
+// Point a material's maps at copies without the preview repeat and offset, which
+// belong to the viewer rather than the material. Returns the copies to dispose.
+function detachPreviewTransform(material) {
+    const copies = [];
+    ['map', 'normalMap', 'aoMap', 'emissiveMap', 'roughnessMap', 'metalnessMap'].forEach(slot => {
+        const texture = material[slot];
+        if (!texture) return;
+        const copy = texture.clone();
+        copy.repeat.set(1, 1);
+        copy.offset.set(0, 0);
+        material[slot] = copy;
+        copies.push(copy);
+    });
+    return copies;
+}
+
+// Stages whose output the current flags ask for
+function getRequestedStages(state) {
+    const stages = ['bump'];
+    if (state.flags.useNormalMap) stages.push('normal');
+    if (state.flags.useAOMap) stages.push('ao');
+    if (state.flags.useAlbedoMap) stages.push('albedo');
+    if (state.flags.useEmissionMap) stages.push('emission');
+    if (state.flags.useRoughnessMap) stages.push('roughness');
+    if (state.flags.useMetalnessMap) stages.push('metalness');
+    return stages;
+}
+
+// Rerun only the stale stages in the worker; fresh stages keep their cached output
+async function generateMapData(state, run) {
+    const { signal } = run.controller;
+    const imageUrl = state.resources.imageUrl;
+    if (!imageUrl) throw new Error("No image URL provided");
+
+    // Decoded once per source image and shared by every stage
+    const sourceData = await sourceImageCache.getImageData(imageUrl);
+    signal.throwIfAborted();
+    const sourceKey = `${imageUrl}#${sourceImageCache.version}`;
+
+    const plan = mapPipeline.plan(getRequestedStages(state), state, sourceKey);
+    const timings = {};
+    const heightFields = {};
+    const vectorFields = {};
+    if (plan.stages.length === 0) {
+        console.log("[Pipeline] All requested maps are up to date");
+        return { results: {}, heightFields, vectorFields, timings, keys: plan.keys };
+    }
+    console.log(`[Pipeline] Recomputing: ${plan.stages.join(', ')}`);
 
     try {
-        const bumpTexture = await applyBumpMap();
+        const results = await mapWorker.run({
+            source: plan.needsSource ? sourceData : null,
+            stages: plan.stages,
+            inputs: plan.inputs,
+            heightFields: plan.heightFields,
+            signal,
+            options: {
+                bump: state.bumpOptions,
+                normal: state.normalOptions,
+                ao: state.aoOptions,
+                albedo: state.albedoOptions,
+                emission: state.emissionOptions,
+                roughness: state.roughnessOptions,
+                metalness: state.metalnessOptions
+            },
+            tiling: state.tilingOptions
+        }, {
+            onProgress: (stage, percent) => {
+                userInterface.showLoadingIndicator(true, `Run #${run.id}: ${stage} map ${Math.round(percent)}%`);
+            },
+            onResult: (stage, imageData, elapsedMs, heightField, vectors) => {
+                timings[stage] = elapsedMs;
+                if (heightField) heightFields[stage] = heightField;
+                if (vectors) vectorFields[stage] = vectors;
+            }
+        });
+
+        return { results, heightFields, vectorFields, timings, keys: plan.keys };
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            userInterface.showErrorMessage(`Failed to generate maps: ${error.message}`);
+        }
+        throw error;
+    }
+}
+
+// Combined applyMaps. Every call starts a new run and aborts the previous one,
+// so stale work stops as soon as the user changes something.
+async function applyMaps() {
+    if (activeRun) {
+        activeRun.controller.abort();
+    }
+    
+    const run = { id: ++runCounter, controller: new AbortController() };
+    activeRun = run;
+    const state = stateManager.getState();
+    userInterface.showLoadingIndicator(true, `Run #${run.id}: starting...`);
+
+    try {
+        const { results, heightFields, vectorFields, timings, keys } = await generateMapData(state, run);
+        run.controller.signal.throwIfAborted();
+
+        // Cache the outputs only now: a superseded run's results never reach the
+        // viewer, so caching them would let the next plan skip stages it still has to apply
+        Object.entries(results).forEach(([stage, imageData]) => {
+            mapPipeline.store(stage, keys[stage], imageData, heightFields[stage]);
+        });
+
+        // Only stages that were rerun get new textures
+        if (results.bump) {
+            applyBumpMap(results.bump, timings.bump, heightFields.bump);
+        } else if (plane && plane.material) {
+            plane.material.bumpScale = state.bumpOptions.bumpScale || 0.1;
+            plane.material.needsUpdate = true;
+        }
+        updateDisplacement();
         
         if (state.flags.useNormalMap) {
-            await applyNormalMap(bumpTexture);
+            if (results.normal) {
+                applyNormalMap(results.normal, timings.normal, vectorFields.normal);
+            } else if (plane && plane.material) {
+                plane.material.normalMap = stateManager.getState('textures').normalTexture;
+                plane.material.needsUpdate = true;
+            }
         } else if (plane && plane.material) {
             plane.material.normalMap = null;
             plane.material.needsUpdate = true;
         }
         
+        if (state.flags.useAOMap) {
+            const aoTexture = results.ao
+                ? applyAOMap(results.ao, timings.ao)
+                : stateManager.getState('textures').aoTexture;
+            if (plane && plane.material) {
+                plane.material.aoMap = aoTexture;
+                plane.material.aoMapIntensity = state.aoOptions.intensity;
+                plane.material.needsUpdate = true;
+            }
+        } else if (plane && plane.material) {
+            plane.material.aoMap = null;
+            plane.material.needsUpdate = true;
+        }
+        
         if (state.flags.useAlbedoMap) {
-            const albedoTexture = await applyAlbedoMap();
+            const albedoTexture = results.albedo
+                ? applyAlbedoMap(results.albedo, timings.albedo)
+                : stateManager.getState('textures').albedoTexture;
             if (plane && plane.material) {
                 plane.material.map = albedoTexture;
                 plane.material.needsUpdate = true;
@@ -240,7 +664,9 @@ async function applyMaps() {
         }
         
         if (state.flags.useEmissionMap) {
-            const emissionTexture = await applyEmissionMap();
+            const emissionTexture = results.emission
+                ? applyEmissionMap(results.emission, timings.emission)
+                : stateManager.getState('textures').emissionTexture;
             if (plane && plane.material) {
                 plane.material.emissiveMap = emissionTexture;
                 plane.material.emissive.set(new THREE.Color(state.emissionOptions.color));
@@ -257,106 +683,308 @@ async function applyMaps() {
             plane.material.needsUpdate = true;
         }
         
+        if (state.flags.useRoughnessMap) {
+            const roughnessTexture = results.roughness
+                ? applyRoughnessMap(results.roughness, timings.roughness)
+                : stateManager.getState('textures').roughnessTexture;
+            if (plane && plane.material) {
+                plane.material.roughnessMap = roughnessTexture;
+                plane.material.roughness = roughnessTexture ? 1.0 : DEFAULT_ROUGHNESS;
+                plane.material.needsUpdate = true;
+            }
+        } else if (plane && plane.material) {
+            plane.material.roughnessMap = null;
+            plane.material.roughness = DEFAULT_ROUGHNESS;
+            plane.material.needsUpdate = true;
+        }
+        
+        if (state.flags.useMetalnessMap) {
+            const metalnessTexture = results.metalness
+                ? applyMetalnessMap(results.metalness, timings.metalness)
+                : stateManager.getState('textures').metalnessTexture;
+            if (plane && plane.material) {
+                plane.material.metalnessMap = metalnessTexture;
+                plane.material.metalness = metalnessTexture ? 1.0 : DEFAULT_METALNESS;
+                plane.material.needsUpdate = true;
+            }
+        } else if (plane && plane.material) {
+            plane.material.metalnessMap = null;
+            plane.material.metalness = DEFAULT_METALNESS;
+            plane.material.needsUpdate = true;
+        }
+        
+        // Tag the new textures with the options hash they were built from, so
+        // exports can tell whether a texture still matches the options
+        const textures = stateManager.getState('textures');
+        Object.keys(results).forEach(stage => {
+            const texture = textures[`${stage}Texture`];
+            if (texture) texture.userData.stageKey = keys[stage];
+        });
+        
+        updatePreviewTransform();
+        
         // Reapply the current visualization mode
         const visMode = state.visualization.activeMap;
         setVisualizationMode(visMode);
+        
+        userInterface.updateMapStatistics();
     } catch (error) {
-        console.error("Error applying maps:", error);
+        if (error.name === 'AbortError') {
+            console.log(`[Pipeline] Run #${run.id} cancelled`);
+        } else {
+            console.error("Error applying maps:", error);
+        }
     } finally {
-        const updatedState = stateManager.getState();
-        stateManager.updateState({
-            flags: { 
-                processingInProgress: false 
-            }
-        });
-        userInterface.showLoadingIndicator(false);
-        
-        if (updatedState.flags.pendingUpdate) {
-            stateManager.updateState({
-                flags: { pendingUpdate: false }
-            });
-            setTimeout(applyMaps, 50);
+        // A newer run owns the indicator once this one was superseded
+        if (activeRun === run) {
+            activeRun = null;
+            userInterface.showLoadingIndicator(false);
         }
     }
 }
 
 const debouncedApplyMaps = debounce(applyMaps, 300);
 
+// Options hash of every stage for the current state, in the form the textures are tagged with
+function getCurrentMapKeys() {
+    const state = stateManager.getState();
+    const sourceKey = `${state.resources.imageUrl}#${sourceImageCache.version}`;
+    const keys = {};
+    Object.keys(mapPipeline.stages).forEach(stage => {
+        keys[stage] = mapPipeline.getStageKey(stage, state, sourceKey);
+    });
+    return keys;
+}
+
+// Set up a material with every enabled map and the scalar settings from state,
+// i.e. what the 'material' view shows and what gets exported
+function applyFullMaterial(material, state) {
+    const textures = state.textures;
+    const emissionOn = state.flags.useEmissionMap && !!textures.emissionTexture;
+    
+    material.normalMap = state.flags.useNormalMap ? textures.normalTexture : null;
+    ThreeJsBumpToNormalMapper.setNormalScale(material, state.normalOptions.normalScale, state.normalOptions.convention);
+    material.map = state.flags.useAlbedoMap ? textures.albedoTexture : null;
+    material.emissiveMap = emissionOn ? textures.emissionTexture : null;
+    material.emissive.set(emissionOn ? state.emissionOptions.color : 0x000000);
+    material.emissiveIntensity = emissionOn ? state.emissionOptions.intensity : 0;
+    material.roughnessMap = state.flags.useRoughnessMap ? textures.roughnessTexture : null;
+    material.roughness = material.roughnessMap ? 1.0 : DEFAULT_ROUGHNESS;
+    material.metalnessMap = state.flags.useMetalnessMap ? textures.metalnessTexture : null;
+    material.metalness = material.metalnessMap ? 1.0 : DEFAULT_METALNESS;
+    material.aoMap = state.flags.useAOMap ? textures.aoTexture : null;
+    material.aoMapIntensity = state.aoOptions.intensity;
+    material.needsUpdate = true;
+}
+
+// Export the plane with the full material as a binary glTF (.glb) with embedded textures.
+// Bump and displacement maps have no glTF equivalent and are left out.
+async function exportGLB() {
+    if (!plane) throw new Error("Nothing to export");
+    const state = stateManager.getState();
+    
+    // Export a copy so the current visualization mode does not leak into the file
+    const material = plane.material.clone();
+    applyFullMaterial(material, state);
+    material.bumpMap = null;
+    material.displacementMap = null;
+    material.name = 'DoGPDA_Material';
+    
+    // glTF normal textures are OpenGL (Y+), so DirectX maps are converted for the file
+    let convertedNormalMap = null;
+    if (material.normalMap && state.normalOptions.convention === 'directx') {
+        convertedNormalMap = createFlippedNormalTexture(material.normalMap);
+        material.normalMap = convertedNormalMap;
+        ThreeJsBumpToNormalMapper.setNormalScale(material, state.normalOptions.normalScale, 'opengl');
+    }
+    const untransformedMaps = detachPreviewTransform(material);
+    
+    const mesh = new THREE.Mesh(plane.geometry, material);
+    mesh.name = 'DoGPDA_Mesh';
+    
+    console.groupCollapsed("%c[GLB] Exporting material", "color: steelblue; font-weight:bold");
+    const start = performance.now();
+    try {
+        const exporter = new GLTFExporter();
+        const glb = await exporter.parseAsync(mesh, { binary: true });
+        console.log(`Size: ${(glb.byteLength / 1024).toFixed(1)} KiB`);
+        console.log(`⏱️ Exported in ${(performance.now() - start).toFixed(1)}ms`);
+        console.log("%c[GLB] Success ✅", "color: green;");
+        return glb;
+    } catch (error) {
+        console.error("%c[GLB] Failed ❌", "color: red; font-weight:bold", error);
+        throw error;
+    } finally {
+        material.dispose();
+        if (convertedNormalMap) convertedNormalMap.dispose();
+        untransformedMaps.forEach(texture => texture.dispose());
+        console.groupEnd();
+    }
+}
+
+// Copy of a canvas-backed normal texture with the green channel inverted
+function createFlippedNormalTexture(normalTexture) {
+    const source = normalTexture.image;
+    const sourceContext = source.getContext('2d');
+    const flipped = flipGreen(sourceContext.getImageData(0, 0, source.width, source.height));
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = flipped.width;
+    canvas.height = flipped.height;
+    canvas.getContext('2d').putImageData(flipped, 0, 0);
+    
+    const texture = new THREE.Texture(canvas);
+    texture.wrapS = normalTexture.wrapS;
+    texture.wrapT = normalTexture.wrapT;
+    texture.needsUpdate = true;
+    return texture;
+}
+
 // Switching visualization mode
 function setVisualizationMode(mode) {
     console.log(`Switching visualization mode to: ${mode}`);
     
-    // Save current material settings to restore later
-    const currentMaterial = plane.material;
-    const savedSettings = {
-        normalMap: currentMaterial.normalMap,
-        map: currentMaterial.map,
-        emissiveMap: currentMaterial.emissiveMap,
-        emissive: currentMaterial.emissive.clone(),
-        emissiveIntensity: currentMaterial.emissiveIntensity,
-        normalScale: currentMaterial.normalScale.clone()
-    };
+    applyVisualizationMode(plane.material, mode, stateManager.getState());
+    updateCompareMaterial();
     
-    // Get textures from state
-    const state = stateManager.getState();
+    // Update control panel visibility
+    updateControlVisibility(mode);
+}
+
+// Set up a material to show one map, or the full material, from the textures
+// and options of a state (the live state or the A/B snapshot)
+function applyVisualizationMode(currentMaterial, mode, state) {
     const textures = state.textures;
     
     // Reset material to default view
     if (mode === 'material') {
-        // Apply saved settings
-        currentMaterial.normalMap = state.flags.useNormalMap ? textures.normalTexture : null;
-        currentMaterial.map = state.flags.useAlbedoMap ? textures.albedoTexture : null;
-        currentMaterial.emissiveMap = state.flags.useEmissionMap ? textures.emissionTexture : null;
-        currentMaterial.emissive.copy(savedSettings.emissive);
-        currentMaterial.emissiveIntensity = savedSettings.emissiveIntensity;
-        currentMaterial.normalScale.copy(savedSettings.normalScale);
+        applyFullMaterial(currentMaterial, state);
     } 
     // Show only the bumped surface with grayscale
     else if (mode === 'bump') {
-        // Create a basic material that shows just the bump texture
-        if (textures.bumpTexture) {
-            currentMaterial.normalMap = null;
-            currentMaterial.map = textures.bumpTexture; // Use bump as albedo to view it
-            currentMaterial.emissiveMap = null;
-            currentMaterial.emissive.set(0x000000);
-            currentMaterial.emissiveIntensity = 0;
-        }
+        // Use bump as albedo to view it
+        if (textures.bumpTexture) showSingleMap(currentMaterial, textures.bumpTexture);
     }
     // Show only the normal map
     else if (mode === 'normal') {
-        if (textures.normalTexture) {
-            currentMaterial.normalMap = null;
-            currentMaterial.map = textures.normalTexture; // Use normal as albedo to view it
-            currentMaterial.emissiveMap = null; 
-            currentMaterial.emissive.set(0x000000);
-            currentMaterial.emissiveIntensity = 0;
-        }
+        // Use normal as albedo to view it
+        if (textures.normalTexture) showSingleMap(currentMaterial, textures.normalTexture);
     }
     // Show only the albedo map
     else if (mode === 'albedo') {
-        if (textures.albedoTexture) {
-            currentMaterial.normalMap = null;
-            currentMaterial.map = textures.albedoTexture;
-            currentMaterial.emissiveMap = null;
-            currentMaterial.emissive.set(0x000000);
-            currentMaterial.emissiveIntensity = 0;
-        }
+        if (textures.albedoTexture) showSingleMap(currentMaterial, textures.albedoTexture);
     }
     // Show only the emission map
     else if (mode === 'emission') {
         if (textures.emissionTexture) {
-            currentMaterial.normalMap = null;
-            currentMaterial.map = null;
+            showSingleMap(currentMaterial, null);
             currentMaterial.emissiveMap = textures.emissionTexture;
             currentMaterial.emissive.set(0xffffff); // Full white for emission viewing
             currentMaterial.emissiveIntensity = 1.0;
         }
     }
+    // Show only the roughness map
+    else if (mode === 'roughness') {
+        if (textures.roughnessTexture) showSingleMap(currentMaterial, textures.roughnessTexture);
+    }
+    // Show only the ambient occlusion map
+    else if (mode === 'ao') {
+        // The AO texture samples uv1 (channel 1), which matches uv on the plane
+        if (textures.aoTexture) showSingleMap(currentMaterial, textures.aoTexture);
+    }
+    // Show only the metalness map
+    else if (mode === 'metalness') {
+        if (textures.metalnessTexture) showSingleMap(currentMaterial, textures.metalnessTexture);
+    }
     
     currentMaterial.needsUpdate = true;
-    
-    // Update control panel visibility
-    updateControlVisibility(mode);
+}
+
+// Show one map as the base colour on a plain, fully rough dielectric, so the
+// material's other maps (metal reflections, AO, emission) do not tint its pixels
+function showSingleMap(material, texture) {
+    material.map = texture;
+    material.normalMap = null;
+    material.roughnessMap = null;
+    material.roughness = 1.0;
+    material.metalnessMap = null;
+    material.metalness = 0.0;
+    material.aoMap = null;
+    material.emissiveMap = null;
+    material.emissive.set(0x000000);
+    material.emissiveIntensity = 0;
+}
+
+// Hold the current maps and options as the A/B reference. Returns the options.
+function takeCompareSnapshot() {
+    if (!plane) return null;
+    clearCompareSnapshot();
+
+    const { textures, ...options } = stateManager.getState();
+    const snapshotOptions = JSON.parse(JSON.stringify(options));
+    // The texture objects are kept as they are: a newer run replaces the live
+    // ones instead of modifying them
+    compareSnapshot = {
+        state: { ...snapshotOptions, textures: { ...textures } },
+        material: plane.material.clone()
+    };
+    updateCompareMaterial();
+    console.log('[Compare] Snapshot taken');
+    return snapshotOptions;
+}
+
+// Drop the A/B reference, releasing the maps the live material no longer uses
+function clearCompareSnapshot() {
+    if (!compareSnapshot) return;
+    const liveTextures = Object.values(stateManager.getState('textures'));
+    Object.values(compareSnapshot.state.textures).forEach(texture => {
+        if (texture && !liveTextures.includes(texture)) texture.dispose();
+    });
+    compareSnapshot.material.dispose();
+    compareSnapshot = null;
+}
+
+// Show the snapshot in the same view mode as the live side
+function updateCompareMaterial() {
+    if (!compareSnapshot) return;
+    const { material, state } = compareSnapshot;
+    applyVisualizationMode(material, stateManager.getState('visualization').activeMap, state);
+    applyDisplacement(material, state);
+}
+
+// Render the live result and the snapshot on the same mesh: either split by a
+// wipe line over one view, or side by side in two half-width views
+function renderComparison() {
+    const { mode, position, swapped } = stateManager.getState('compare');
+    const size = renderer.getSize(new THREE.Vector2());
+    const liveMaterial = plane.material;
+    // The reference is on the left unless swapped
+    const sides = swapped
+        ? [liveMaterial, compareSnapshot.material]
+        : [compareSnapshot.material, liveMaterial];
+    const splitX = Math.round(size.x * (mode === 'split' ? 0.5 : position));
+    const aspect = camera.aspect;
+    if (mode === 'split') {
+        camera.aspect = (size.x / 2) / size.y;
+        camera.updateProjectionMatrix();
+    }
+
+    renderer.setScissorTest(true);
+    [[0, splitX], [splitX, size.x - splitX]].forEach(([x, width], index) => {
+        if (width <= 0) return;
+        plane.material = sides[index];
+        renderer.setScissor(x, 0, width, size.y);
+        if (mode === 'split') renderer.setViewport(x, 0, width, size.y);
+        renderer.render(scene, camera);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, size.x, size.y);
+    plane.material = liveMaterial;
+
+    if (mode === 'split') {
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+    }
 }
 
 // Handle control panel visibility
@@ -367,7 +995,10 @@ function updateControlVisibility(mode) {
         'bump': 'controls',
         'normal': 'normal-controls',
         'albedo': 'albedo-controls',
-        'emission': 'emission-controls'
+        'emission': 'emission-controls',
+        'roughness': 'roughness-controls',
+        'metalness': 'metalness-controls',
+        'ao': 'ao-controls'
     };
     
     // Get all map panels
@@ -402,7 +1033,7 @@ function init() {
     
     // Initialize scene
     scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x333333);
+    scene.background = BACKGROUND_COLOR;
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.z = 5;
 
@@ -425,24 +1056,30 @@ function init() {
     controls.enableDamping = true;
     controls.dampingFactor = 0.05;
 
-    const ambientLight = new THREE.AmbientLight(0x404040);
-    scene.add(ambientLight);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-    directionalLight.position.set(1, 1, 1);
-    scene.add(directionalLight);
-    const pointLight = new THREE.PointLight(0xffffff, 0.5);
-    camera.add(pointLight);
-    scene.add(camera);
+    // Environment and lights come from the lighting state; a loaded HDRI is
+    // not saved, so a saved 'custom' choice falls back to the default studio
+    if (stateManager.getState('lighting').environment === 'custom') {
+        stateManager.updateState({ lighting: { environment: 'room', environmentName: null } }, true);
+    }
+    pmremGenerator = new THREE.PMREMGenerator(renderer);
+    lightRig = new LightRig(scene, PLANE_SIZE);
+    updateEnvironment();
+    updateLighting();
 
-    const geometry = new THREE.PlaneGeometry(4, 4, 32, 32);
+    // Uploaded models are not saved, so a saved 'custom' choice falls back to the plane
+    if (stateManager.getState('preview').geometry === 'custom') {
+        stateManager.updateState({ preview: { geometry: 'plane', modelName: null } }, true);
+    }
     const material = new THREE.MeshStandardMaterial({
         color: 0xffffff,
-        metalness: 0.1,
-        roughness: 0.8,
+        metalness: DEFAULT_METALNESS,
+        roughness: DEFAULT_ROUGHNESS,
         side: THREE.DoubleSide
     });
-    plane = new THREE.Mesh(geometry, material);
+    plane = new THREE.Mesh(new THREE.BufferGeometry(), material);
+    rebuildPreviewGeometry();
     scene.add(plane);
+    updateUVChecker();
 
     window.addEventListener('resize', onWindowResize);
     
@@ -452,7 +1089,8 @@ function init() {
         debouncedApplyMaps: debouncedApplyMaps,
         updateNormalScale: (scale) => {
             if (plane?.material?.normalMap) {
-                plane.material.normalScale.set(scale, scale);
+                const convention = stateManager.getState('normalOptions').convention;
+                ThreeJsBumpToNormalMapper.setNormalScale(plane.material, scale, convention);
                 plane.material.needsUpdate = true;
             }
         },
@@ -462,6 +1100,12 @@ function init() {
                 plane.material.needsUpdate = true;
             }
         },
+        updateAOIntensity: (intensity) => {
+            if (plane?.material?.aoMap) {
+                plane.material.aoMapIntensity = intensity;
+                plane.material.needsUpdate = true;
+            }
+        },
         updateEmissiveColor: (color) => {
             if (plane?.material?.emissiveMap) {
                 plane.material.emissive.set(color);
@@ -475,6 +1119,14 @@ function init() {
                 plane.material.needsUpdate = true;
             }
         },
+        toggleAOMap: (enabled) => {
+            if (plane?.material) {
+                const state = stateManager.getState();
+                plane.material.aoMap = enabled ? state.textures.aoTexture : null;
+                plane.material.aoMapIntensity = state.aoOptions.intensity;
+                plane.material.needsUpdate = true;
+            }
+        },
         toggleAlbedoMap: (enabled) => {
             if (plane?.material) {
                 const state = stateManager.getState();
@@ -491,20 +1143,70 @@ function init() {
                 plane.material.needsUpdate = true;
             }
         },
+        toggleRoughnessMap: (enabled) => {
+            if (plane?.material) {
+                const state = stateManager.getState();
+                plane.material.roughnessMap = enabled ? state.textures.roughnessTexture : null;
+                plane.material.roughness = plane.material.roughnessMap ? 1.0 : DEFAULT_ROUGHNESS;
+                plane.material.needsUpdate = true;
+            }
+        },
+        toggleMetalnessMap: (enabled) => {
+            if (plane?.material) {
+                const state = stateManager.getState();
+                plane.material.metalnessMap = enabled ? state.textures.metalnessTexture : null;
+                plane.material.metalness = plane.material.metalnessMap ? 1.0 : DEFAULT_METALNESS;
+                plane.material.needsUpdate = true;
+            }
+        },
+        exportGLB: exportGLB,
+        getCurrentMapKeys: getCurrentMapKeys,
+        loadPreviewModel: loadPreviewModel,
+        loadPreviewEnvironment: loadPreviewEnvironment,
+        takeCompareSnapshot: takeCompareSnapshot,
+        clearCompareSnapshot: clearCompareSnapshot,
+        toggleDisplacementMap: () => {
+            updateDisplacement();
+        },
         // Add new callback for visualization mode
         setVisualizationMode: setVisualizationMode
     });
     
+    // Displacement only touches the material and geometry, so apply it directly
+    stateManager.subscribeToSection('displacementOptions', (changes) => {
+        if (changes.some(change => change.key === 'segments')) {
+            debouncedSwapPreviewGeometry();
+        }
+        updateDisplacement();
+    });
+    
+    stateManager.subscribeToSection('lighting', () => {
+        updateEnvironment();
+        updateLighting();
+    });
+    
+    // Preview settings only touch the viewer
+    stateManager.subscribeToSection('preview', (changes) => {
+        if (changes.some(change => change.key === 'geometry')) {
+            swapPreviewGeometry();
+        }
+        if (changes.some(change => change.key === 'uvChecker')) {
+            updateUVChecker();
+        }
+        updatePreviewTransform();
+    });
+    
     // Subscribe to state changes
     stateManager.subscribe((changes, state) => {
+        // Drop cached stage outputs whose inputs changed
+        changes.forEach(change => mapPipeline.invalidateForChange(change));
+
         // Auto-save state changes
         stateManager.saveToLocalStorage();
     });
 
     userInterface.showLoadingIndicator(true);
-    setTimeout(() => {
-        applyMaps().finally(() => userInterface.showLoadingIndicator(false));
-    }, 100);
+    setTimeout(applyMaps, 100);
     
     // Initialize clock for animations
     clock = new THREE.Clock();
@@ -531,8 +1233,11 @@ function cleanupResources() {
     // Clean up textures
     if (state.textures.bumpTexture) state.textures.bumpTexture.dispose();
     if (state.textures.normalTexture) state.textures.normalTexture.dispose();
+    if (state.textures.aoTexture) state.textures.aoTexture.dispose();
     if (state.textures.albedoTexture) state.textures.albedoTexture.dispose();
     if (state.textures.emissionTexture) state.textures.emissionTexture.dispose();
+    if (state.textures.roughnessTexture) state.textures.roughnessTexture.dispose();
+    if (state.textures.metalnessTexture) state.textures.metalnessTexture.dispose();
     
     // Clean up image URL if it's a blob
     const imageUrl = state.resources.imageUrl;
@@ -541,6 +1246,16 @@ function cleanupResources() {
     }
     
     // Clean up mesh
+    if (uvCheckerOverlay) {
+        uvCheckerOverlay.material.emissiveMap.dispose();
+        uvCheckerOverlay.material.dispose();
+    }
+    clearCompareSnapshot();
+    if (customModelGeometry) customModelGeometry.dispose();
+    if (environmentTarget) environmentTarget.dispose();
+    if (customEnvironmentTarget) customEnvironmentTarget.dispose();
+    if (lightRig) lightRig.dispose();
+    if (pmremGenerator) pmremGenerator.dispose();
     if (plane) {
         if (plane.geometry) plane.geometry.dispose();
         if (plane.material) plane.material.dispose();
@@ -548,6 +1263,9 @@ function cleanupResources() {
     
     // Clean up renderer
     if (renderer) renderer.dispose();
+
+    // Stop the map generation worker
+    mapWorker.dispose();
 }
 
 window.addEventListener('beforeunload', cleanupResources);
@@ -562,7 +1280,10 @@ function animate() {
         const delta = clock.getDelta();
         plane.rotation.y += Math.sin(Date.now()*0.0005) * 0.2 * delta;
     }
-    if (renderer && scene && camera) renderer.render(scene, camera);
+    if (renderer && scene && camera) {
+        if (compareSnapshot) renderComparison();
+        else renderer.render(scene, camera);
+    }
 }
 
 // Start
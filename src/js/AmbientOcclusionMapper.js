@@ -0,0 +1,304 @@
+// AmbientOcclusionMapper.js
+import * as THREE from 'three';
+
+/**
+ * Horizon-based ambient occlusion estimated from a bump (height) map
+ * @class AmbientOcclusionMapper
+ */
+export class AmbientOcclusionMapper {
+    /**
+     * Creates a new AO generator instance
+     * @param {Object} options - Configuration options
+     * @param {number} options.radius - Search radius in pixels (default: 8)
+     * @param {number} options.samples - Number of horizon directions (default: 8)
+     * @param {number} options.heightScale - Height of a full-range bump in pixels (default: 10)
+     * @param {number} options.strength - Occlusion strength (default: 1.0)
+     * @param {boolean} options.tileable - Wrap horizon searches around the edges (default: false)
+     */
+    constructor(options = {}) {
+        this.radius = Math.max(1, options.radius ?? 8);
+        this.samples = Math.max(1, Math.min(AmbientOcclusionMapper.MAX_SAMPLES, Math.round(options.samples ?? 8)));
+        this.heightScale = Math.max(0, options.heightScale ?? 10);
+        this.strength = Math.max(0, options.strength ?? 1.0);
+        this.tileable = options.tileable || false;
+
+        // Progress callback
+        this.onProgress = null;
+    }
+
+    /**
+     * Set progress callback function
+     * @param {Function} callback - Function(progress) called during processing
+     * @returns {AmbientOcclusionMapper} - This instance for chaining
+     */
+    setProgressCallback(callback) {
+        if (typeof callback === 'function') {
+            this.onProgress = callback;
+        }
+        return this;
+    }
+
+    /**
+     * Entry point: takes bump ImageData, returns AO ImageData (white = unoccluded)
+     * @param {ImageData} bumpMapData - Input bump map as ImageData
+     * @param {{data: Float32Array, width: number, height: number}} [heightField] - Unquantised
+     *   heights (0..1) from the bump stage; used instead of the 8-bit pixels when given
+     * @returns {ImageData} - Generated AO map as ImageData
+     */
+    generateAOMap(bumpMapData, heightField = null) {
+        if (!bumpMapData || !bumpMapData.width || !bumpMapData.height) {
+            throw new Error('Invalid bump map data provided to AmbientOcclusionMapper');
+        }
+
+        const { width, height } = bumpMapData;
+        const heights = this._readHeights(bumpMapData, heightField);
+
+        // Unit directions spread evenly around the circle
+        const directions = [];
+        for (let d = 0; d < this.samples; d++) {
+            const angle = (d / this.samples) * Math.PI * 2;
+            directions.push([Math.cos(angle), Math.sin(angle)]);
+        }
+
+        // March in at most one-pixel steps, capped to keep large radii affordable
+        const steps = Math.min(AmbientOcclusionMapper.MAX_STEPS, Math.ceil(this.radius));
+        const stepSize = this.radius / steps;
+
+        const output = new ImageData(width, height);
+        const outBuf = output.data;
+        const progressEvery = Math.max(1, Math.floor(height / 20));
+
+        for (let y = 0; y < height; y++) {
+            if (this.onProgress && y % progressEvery === 0) {
+                this.onProgress((y / height) * 100);
+            }
+
+            for (let x = 0; x < width; x++) {
+                const h0 = heights[y * width + x];
+                let occlusion = 0;
+
+                for (const [dx, dy] of directions) {
+                    // Steepest elevation towards the horizon in this direction
+                    let maxSlope = 0;
+                    for (let s = 1; s <= steps; s++) {
+                        const dist = s * stepSize;
+                        const sx = this._edgeIndex(Math.round(x + dx * dist), width);
+                        const sy = this._edgeIndex(Math.round(y + dy * dist), height);
+                        const slope = (heights[sy * width + sx] - h0) / dist;
+                        if (slope > maxSlope) maxSlope = slope;
+                    }
+
+                    // sin(atan(slope)) is the occluded fraction of the hemisphere slice
+                    occlusion += maxSlope / Math.sqrt(1 + maxSlope * maxSlope);
+                }
+
+                const ao = Math.max(0, 1 - this.strength * occlusion / directions.length);
+                const val = Math.round(ao * 255);
+                const idx = (y * width + x) * 4;
+                outBuf[idx] = val;
+                outBuf[idx + 1] = val;
+                outBuf[idx + 2] = val;
+                outBuf[idx + 3] = 255;
+            }
+        }
+
+        if (this.onProgress) this.onProgress(100);
+        return output;
+    }
+
+    /**
+     * Map a sample coordinate outside the image back inside it: wrapped around
+     * when tileable, clamped to the edge otherwise
+     * @private
+     * @param {number} i - Coordinate
+     * @param {number} size - Image width or height
+     * @returns {number} - Valid coordinate
+     */
+    _edgeIndex(i, size) {
+        if (this.tileable) {
+            return ((i % size) + size) % size;
+        }
+        return Math.min(size - 1, Math.max(0, i));
+    }
+
+    /**
+     * Convert bump pixels (128 = flat) into heights in pixel units
+     * @private
+     * @param {ImageData} bumpMapData - Input bump map
+     * @param {{data: Float32Array, width: number, height: number}|null} heightField - Unquantised heights
+     * @returns {Float32Array} - Height per pixel
+     */
+    _readHeights(bumpMapData, heightField) {
+        const data = bumpMapData.data;
+        const heights = new Float32Array(bumpMapData.width * bumpMapData.height);
+        const scale = this.heightScale / 127;
+        if (heightField && heightField.width === bumpMapData.width && heightField.height === bumpMapData.height) {
+            for (let p = 0; p < heights.length; p++) {
+                heights[p] = (heightField.data[p] * 255 - 128) * scale;
+            }
+            return heights;
+        }
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            heights[p] = (data[i] - 128) * scale;
+        }
+        return heights;
+    }
+}
+
+// Upper bounds that keep the per-pixel cost predictable
+AmbientOcclusionMapper.MAX_SAMPLES = 32;
+AmbientOcclusionMapper.MAX_STEPS = 16;
+
+/**
+ * Factory and integration with Three.js
+ */
+export class ThreeJsAmbientOcclusionMapper {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {number} options.radius - Search radius in pixels (default: 8)
+     * @param {number} options.samples - Number of horizon directions (default: 8)
+     * @param {boolean} options.showPreview - Show preview on page (default: true)
+     */
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            showPreview: options.showPreview !== false, // Default to true
+            previewSize: options.previewSize || 128,
+            previewPosition: options.previewPosition || { bottom: '10px', right: `${20 + (options.previewSize || 128)}px` }
+        };
+
+        // Create mapper instance
+        this.aoMapper = new AmbientOcclusionMapper(this.options);
+
+        // Preview element reference for cleanup
+        this.previewElement = null;
+    }
+
+    /**
+     * Creates a preview canvas and Three.js texture from already generated AO pixels
+     * @param {ImageData} aoData - AO map pixels
+     * @returns {THREE.Texture} - AO texture, reading the second UV set
+     */
+    createTextureFromAOData(aoData) {
+        const outputCanvas = document.createElement('canvas');
+        outputCanvas.width = aoData.width;
+        outputCanvas.height = aoData.height;
+        outputCanvas.getContext('2d').putImageData(aoData, 0, 0);
+
+        if (this.options.showPreview) {
+            this._createPreview(outputCanvas);
+        }
+
+        const aoTexture = new THREE.Texture(outputCanvas);
+        aoTexture.needsUpdate = true;
+        aoTexture.wrapS = THREE.RepeatWrapping;
+        aoTexture.wrapT = THREE.RepeatWrapping;
+
+        // aoMap is sampled with the geometry's uv1 attribute
+        aoTexture.channel = 1;
+
+        return aoTexture;
+    }
+
+    /**
+     * Create and show preview element
+     * @private
+     * @param {HTMLCanvasElement} canvas - Source canvas
+     */
+    _createPreview(canvas) {
+        this._cleanupPreviews();
+
+        const preview = document.createElement('canvas');
+        preview.width = canvas.width;
+        preview.height = canvas.height;
+        preview.className = 'ao-preview';
+        preview.style.cssText = `
+            position: fixed;
+            bottom: ${this.options.previewPosition.bottom};
+            right: ${this.options.previewPosition.right};
+            width: ${this.options.previewSize}px;
+            height: ${this.options.previewSize}px;
+            border: 2px solid #fff;
+            z-index: 9999;
+        `;
+        preview.getContext('2d').drawImage(canvas, 0, 0);
+
+        document.body.appendChild(preview);
+        this.previewElement = preview;
+    }
+
+    /**
+     * Clean up preview elements
+     * @private
+     */
+    _cleanupPreviews() {
+        if (this.previewElement && document.body.contains(this.previewElement)) {
+            document.body.removeChild(this.previewElement);
+        }
+        this.previewElement = null;
+
+        document.querySelectorAll('.ao-preview').forEach(el => {
+            el.parentElement.removeChild(el);
+        });
+    }
+
+    /**
+     * Static: apply already generated AO pixels to a mesh's material
+     * @param {THREE.Mesh} mesh - Target mesh
+     * @param {ImageData} aoData - AO map pixels
+     * @param {Object} options - Configuration options
+     * @returns {THREE.Texture} - Applied AO texture
+     */
+    static applyDataToMesh(mesh, aoData, options = {}) {
+        if (!mesh || !mesh.material) {
+            throw new Error('Invalid mesh or material');
+        }
+
+        const mapper = new ThreeJsAmbientOcclusionMapper(options);
+        mapper._cleanupPreviews();
+        const aoTexture = mapper.createTextureFromAOData(aoData);
+        ThreeJsAmbientOcclusionMapper._setAOMap(mesh, aoTexture, options);
+
+        return aoTexture;
+    }
+
+    /**
+     * Assign an AO texture to a mesh's material. The geometry needs a uv1
+     * attribute (see ensureSecondaryUVs).
+     * @private
+     * @param {THREE.Mesh} mesh - Target mesh
+     * @param {THREE.Texture} aoTexture - AO texture
+     * @param {Object} options - Configuration options
+     */
+    static _setAOMap(mesh, aoTexture, options) {
+        if (mesh.material) {
+            if (mesh.material.aoMap) {
+                mesh.material.aoMap.dispose();
+            }
+            ThreeJsAmbientOcclusionMapper.ensureSecondaryUVs(mesh.geometry);
+            mesh.material.aoMap = aoTexture;
+            mesh.material.aoMapIntensity = options.intensity ?? 1.0;
+            mesh.material.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Static: give a geometry a second UV set (uv1) copied from its first,
+     * which is what aoMap reads with texture.channel = 1
+     * @param {THREE.BufferGeometry} geometry - Target geometry
+     */
+    static ensureSecondaryUVs(geometry) {
+        if (!geometry || geometry.getAttribute('uv1')) return;
+        const uv = geometry.getAttribute('uv');
+        if (uv) {
+            geometry.setAttribute('uv1', uv.clone());
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this._cleanupPreviews();
+    }
+}
@@ -10,13 +10,20 @@ export class BumpToNormalMapper {
      * Creates a new normal map generator instance
      * @param {Object} options - Configuration options
      * @param {number} options.strength - Normal map intensity (default: 1.0)
-     * @param {string} options.gradientType - Gradient calculation method ('central', 'sobel', 'prewitt') (default: 'central')
+     * @param {string} options.gradientType - Gradient calculation method ('central', 'sobel', 'prewitt',
+     *   'scharr', 'sobel5', 'gaussian') (default: 'central')
+     * @param {number} options.gradientSigma - Sigma of the derivative-of-Gaussian operator in pixels (default: 1.0)
+     * @param {string} options.convention - Green channel convention: 'opengl' (Y+) or 'directx' (Y-) (default: 'opengl')
+     * @param {boolean} options.tileable - Wrap gradient samples around the edges (default: false)
      * @param {boolean} options.debug - Enable debug visualization (default: false)
      */
     constructor(options = {}) {
         // Configuration parameters with validation
         this.strength = this._validateStrength(options.strength ?? 1.0);
         this.gradientType = options.gradientType || 'central';
+        this.gradientSigma = Math.max(0.3, Math.min(BumpToNormalMapper.MAX_GRADIENT_SIGMA, options.gradientSigma ?? 1.0));
+        this.convention = options.convention === 'directx' ? 'directx' : 'opengl';
+        this.tileable = options.tileable || false;
         this.debug = options.debug || false;
         
         // Processing pipeline steps
@@ -34,6 +41,7 @@ export class BumpToNormalMapper {
         this.currentState = this.pipeline.INIT;
         this.processingData = {
             bump: null,
+            heights: null,
             gradients: null,
             vectors: null,
             normalMap: null
@@ -73,9 +81,11 @@ export class BumpToNormalMapper {
     /**
      * Entry point: takes bump ImageData, returns normal ImageData
      * @param {ImageData} bumpMapData - Input bump map as ImageData
+     * @param {{data: Float32Array, width: number, height: number}} [heightField] - Unquantised
+     *   heights (0..1) from the bump stage; used instead of the 8-bit pixels when given
      * @returns {ImageData} - Generated normal map as ImageData
      */
-    generateNormalMap(bumpMapData) {
+    generateNormalMap(bumpMapData, heightField = null) {
         if (!bumpMapData || !bumpMapData.data || !bumpMapData.width || !bumpMapData.height) {
             throw new Error('[BumpToNormal] Invalid bump map data provided');
         }
@@ -85,6 +95,7 @@ export class BumpToNormalMapper {
         
         // Store input bump data (clone to avoid mutations)
         this.processingData.bump = this._cloneImageData(bumpMapData);
+        this.processingData.heights = this._readHeights(bumpMapData, heightField);
         this._reportProgress(10, 'scan');
         
         // Process through pipeline stages
@@ -152,14 +163,35 @@ export class BumpToNormalMapper {
         }
     }
     
+    /**
+     * Normalized heights (0..1) per pixel, from the float height field when it
+     * matches the bump map and from the bump map's red channel otherwise
+     * @private
+     * @param {ImageData} bumpMapData - Input bump map
+     * @param {{data: Float32Array, width: number, height: number}|null} heightField - Unquantised heights
+     * @returns {Float32Array} - Height per pixel
+     */
+    _readHeights(bumpMapData, heightField) {
+        const { width, height } = bumpMapData;
+        if (heightField && heightField.width === width && heightField.height === height) {
+            return heightField.data;
+        }
+        
+        const heights = new Float32Array(width * height);
+        for (let p = 0, i = 0; p < heights.length; p++, i += 4) {
+            heights[p] = bumpMapData.data[i] / 255.0;
+        }
+        return heights;
+    }
+    
     /**
      * Compute gradients dx, dy from bump heights using selected method
      * @private
      */
     _computeComplexGradients() {
-        const bumpMap = this.processingData.bump;
-        const width = bumpMap.width;
-        const height = bumpMap.height;
+        const heights = this.processingData.heights;
+        const width = this.processingData.bump.width;
+        const height = this.processingData.bump.height;
         console.log(`[BumpToNormal] Computing ${this.gradientType} gradients for ${width}×${height}`);
         
         // Pre-allocate gradients array (2 components per pixel: dx, dy)
@@ -168,14 +200,19 @@ export class BumpToNormalMapper {
         // Choose gradient computation method
         switch (this.gradientType) {
             case 'sobel':
-                this._computeSobelGradients(bumpMap, gradients, width, height);
+                this._computeSobelGradients(heights, gradients, width, height);
                 break;
             case 'prewitt':
-                this._computePrewittGradients(bumpMap, gradients, width, height);
+                this._computePrewittGradients(heights, gradients, width, height);
+                break;
+            case 'scharr':
+            case 'sobel5':
+            case 'gaussian':
+                this._computeSeparableGradients(heights, gradients, width, height, this._getSeparableKernels());
                 break;
             case 'central':
             default:
-                this._computeCentralGradients(bumpMap, gradients, width, height);
+                this._computeCentralGradients(heights, gradients, width, height);
                 break;
         }
         
@@ -191,22 +228,19 @@ export class BumpToNormalMapper {
     /**
      * Compute central difference gradients (original method)
      * @private
-     * @param {ImageData} bumpMap - Bump map data
+     * @param {Float32Array} heights - Normalized heights
      * @param {Float32Array} gradients - Output gradients array
      * @param {number} width - Image width
      * @param {number} height - Image height
      */
-    _computeCentralGradients(bumpMap, gradients, width, height) {
+    _computeCentralGradients(heights, gradients, width, height) {
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
-                const idx = (y * width + x) * 4;
-                const h = bumpMap.data[idx] / 255.0;
-                
                 // Use central difference with edge handling
-                const left = x > 0 ? bumpMap.data[idx - 4] / 255.0 : h;
-                const right = x < width - 1 ? bumpMap.data[idx + 4] / 255.0 : h;
-                const top = y > 0 ? bumpMap.data[(y - 1) * width * 4 + x * 4] / 255.0 : h;
-                const bottom = y < height - 1 ? bumpMap.data[(y + 1) * width * 4 + x * 4] / 255.0 : h;
+                const left = heights[y * width + this._edgeIndex(x - 1, width)];
+                const right = heights[y * width + this._edgeIndex(x + 1, width)];
+                const top = heights[this._edgeIndex(y - 1, height) * width + x];
+                const bottom = heights[this._edgeIndex(y + 1, height) * width + x];
                 
                 // Apply central difference formula with strength factor
                 const dx = (right - left) * 0.5 * this.strength;
@@ -222,16 +256,16 @@ export class BumpToNormalMapper {
     /**
      * Compute Sobel operator gradients
      * @private
-     * @param {ImageData} bumpMap - Bump map data
+     * @param {Float32Array} heights - Normalized heights
      * @param {Float32Array} gradients - Output gradients array
      * @param {number} width - Image width
      * @param {number} height - Image height
      */
-    _computeSobelGradients(bumpMap, gradients, width, height) {
+    _computeSobelGradients(heights, gradients, width, height) {
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
                 // Sample 3x3 neighborhood with safe bounds checking
-                const samples = this._getSampleNeighborhood(bumpMap, x, y, width, height);
+                const samples = this._getSampleNeighborhood(heights, x, y, width, height);
                 
                 // Sobel X kernel: [-1,0,1; -2,0,2; -1,0,1]
                 const gx = (
@@ -256,16 +290,16 @@ export class BumpToNormalMapper {
     /**
      * Compute Prewitt operator gradients
      * @private
-     * @param {ImageData} bumpMap - Bump map data
+     * @param {Float32Array} heights - Normalized heights
      * @param {Float32Array} gradients - Output gradients array
      * @param {number} width - Image width
      * @param {number} height - Image height
      */
-    _computePrewittGradients(bumpMap, gradients, width, height) {
+    _computePrewittGradients(heights, gradients, width, height) {
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
                 // Sample 3x3 neighborhood with safe bounds checking
-                const samples = this._getSampleNeighborhood(bumpMap, x, y, width, height);
+                const samples = this._getSampleNeighborhood(heights, x, y, width, height);
                 
                 // Prewitt X kernel: [-1,0,1; -1,0,1; -1,0,1]
                 const gx = (
@@ -287,39 +321,139 @@ export class BumpToNormalMapper {
         }
     }
     
+    /**
+     * Derivative and smoothing kernels of the separable operators. The derivative
+     * is scaled to respond with 1 to a unit ramp and the smoothing to sum to 1,
+     * so every operator produces the same slope scale as central differences.
+     * @private
+     * @returns {{derivative: Float32Array, smoothing: Float32Array}} Kernels centred on the middle tap
+     */
+    _getSeparableKernels() {
+        let derivative, smoothing;
+        switch (this.gradientType) {
+            case 'scharr':
+                derivative = [-1, 0, 1];
+                smoothing = [3, 10, 3];
+                break;
+            case 'sobel5':
+                derivative = [-1, -2, 0, 2, 1];
+                smoothing = [1, 4, 6, 4, 1];
+                break;
+            case 'gaussian':
+            default: {
+                const radius = Math.ceil(this.gradientSigma * 3);
+                derivative = [];
+                smoothing = [];
+                for (let k = -radius; k <= radius; k++) {
+                    const g = Math.exp(-(k * k) / (2 * this.gradientSigma * this.gradientSigma));
+                    derivative.push(k * g);
+                    smoothing.push(g);
+                }
+                break;
+            }
+        }
+        
+        const radius = (derivative.length - 1) / 2;
+        const ramp = derivative.reduce((sum, d, i) => sum + (i - radius) * d, 0);
+        const total = smoothing.reduce((sum, s) => sum + s, 0);
+        return {
+            derivative: Float32Array.from(derivative, d => d / ramp),
+            smoothing: Float32Array.from(smoothing, s => s / total)
+        };
+    }
+    
+    /**
+     * Compute gradients with a separable operator: derivative across the
+     * gradient direction, smoothing along it
+     * @private
+     * @param {Float32Array} heights - Normalized heights
+     * @param {Float32Array} gradients - Output gradients array
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {{derivative: Float32Array, smoothing: Float32Array}} kernels - Equal-length 1D kernels
+     */
+    _computeSeparableGradients(heights, gradients, width, height, kernels) {
+        const { derivative, smoothing } = kernels;
+        const radius = (derivative.length - 1) / 2;
+        
+        // Horizontal passes: derivative for dx, smoothing for dy
+        const rowDerivative = new Float32Array(width * height);
+        const rowSmoothed = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                let d = 0, s = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const h = heights[row + this._edgeIndex(x + k, width)];
+                    d += derivative[k + radius] * h;
+                    s += smoothing[k + radius] * h;
+                }
+                rowDerivative[row + x] = d;
+                rowSmoothed[row + x] = s;
+            }
+        }
+        
+        // Vertical passes: smoothing for dx, derivative for dy
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let gx = 0, gy = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const idx = this._edgeIndex(y + k, height) * width + x;
+                    gx += smoothing[k + radius] * rowDerivative[idx];
+                    gy += derivative[k + radius] * rowSmoothed[idx];
+                }
+                gradients[(y * width + x) * 2] = gx * this.strength;
+                gradients[(y * width + x) * 2 + 1] = gy * this.strength;
+            }
+        }
+    }
+    
     /**
      * Get 3x3 neighborhood samples with edge handling
      * @private
-     * @param {ImageData} imageData - Source image data
+     * @param {Float32Array} heights - Normalized heights
      * @param {number} x - Center x coordinate
      * @param {number} y - Center y coordinate
      * @param {number} width - Image width
      * @param {number} height - Image height
      * @returns {Array<Array<number>>} 3x3 array of normalized pixel values
      */
-    _getSampleNeighborhood(imageData, x, y, width, height) {
+    _getSampleNeighborhood(heights, x, y, width, height) {
         const samples = [
             [0, 0, 0],
             [0, 0, 0],
             [0, 0, 0]
         ];
         
-        // Sample 3x3 neighborhood with mirror padding
+        // Sample 3x3 neighborhood with edge handling
         for (let dy = -1; dy <= 1; dy++) {
             for (let dx = -1; dx <= 1; dx++) {
-                // Mirror padding for edges
-                const sx = Math.max(0, Math.min(width - 1, x + dx));
-                const sy = Math.max(0, Math.min(height - 1, y + dy));
+                const sx = this._edgeIndex(x + dx, width);
+                const sy = this._edgeIndex(y + dy, height);
                 
                 // Get normalized value (0-1)
-                const idx = (sy * width + sx) * 4;
-                samples[dy + 1][dx + 1] = imageData.data[idx] / 255.0;
+                samples[dy + 1][dx + 1] = heights[sy * width + sx];
             }
         }
         
         return samples;
     }
     
+    /**
+     * Map a sample coordinate outside the image back inside it: wrapped around
+     * when tileable, clamped to the edge otherwise
+     * @private
+     * @param {number} i - Coordinate
+     * @param {number} size - Image width or height
+     * @returns {number} - Valid coordinate
+     */
+    _edgeIndex(i, size) {
+        if (this.tileable) {
+            return ((i % size) + size) % size;
+        }
+        return Math.max(0, Math.min(size - 1, i));
+    }
+    
     /**
      * Map each gradient to a 3D vector
      * @private
@@ -331,6 +465,9 @@ export class BumpToNormalMapper {
         // Pre-allocate vector field (3 components per pixel: x, y, z)
         const vectors = new Float32Array(width * height * 3);
         
+        // DirectX maps store Y pointing the other way (green inverted)
+        const ySign = this.convention === 'directx' ? -1 : 1;
+        
         // Create vectors from gradients
         for (let i = 0; i < width * height; i++) {
             const gi = i * 2;
@@ -338,7 +475,7 @@ export class BumpToNormalMapper {
             
             // Gradient components
             const vx = gradients[gi];
-            const vy = gradients[gi + 1];
+            const vy = gradients[gi + 1] * ySign;
             const vz = 1.0; // z points outward from surface
             
             // Store unnormalized vector components
@@ -527,6 +664,9 @@ export class BumpToNormalMapper {
     }
 }
 
+// Largest derivative-of-Gaussian sigma, keeping the kernel at most 61 taps
+BumpToNormalMapper.MAX_GRADIENT_SIGMA = 10;
+
 /**
  * Factory and integration with Three.js
  */
@@ -542,6 +682,9 @@ export class ThreeJsBumpToNormalMapper {
         this.options = {
             strength: options.strength || 1.0,
             gradientType: options.gradientType || 'central',
+            gradientSigma: options.gradientSigma || 1.0,
+            convention: options.convention || 'opengl',
+            tileable: options.tileable || false,
             debug: options.debug || false,
             showPreview: options.showPreview !== false, // Default to true
             previewSize: options.previewSize || 128,
@@ -561,50 +704,34 @@ export class ThreeJsBumpToNormalMapper {
     }
 
     /**
-     * Takes bump ImageData, creates a preview canvas and Three.js texture
-     * @param {ImageData} bumpImageData - Input bump map
-     * @returns {THREE.Texture} - Generated normal map texture
+     * Creates a preview canvas and Three.js texture from already generated
+     * normal map pixels (e.g. ones computed off the main thread)
+     * @param {ImageData} normalMapData - Normal map pixels
+     * @param {{data: Float32Array, width: number, height: number}} [vectors] - Unit normals
+     *   (xyz per pixel) before 8-bit encoding, kept for float export
+     * @returns {THREE.Texture} - Normal map texture
      */
-    createNormalMapFromBump(bumpImageData) {
-        console.groupCollapsed("%c[BumpToNormal] Converting bump map to normal map", "color: blue; font-weight:bold");
-        const start = performance.now();
-        
-        try {
-            // First clean up any previous preview
-            this._cleanupPreviews();
-            
-            // Generate normal map ImageData using core mapper
-            const normalMapData = this.normalMapper.generateNormalMap(bumpImageData);
-            
-            // Create output canvas for texture
-            const outputCanvas = document.createElement('canvas');
-            outputCanvas.width = normalMapData.width;
-            outputCanvas.height = normalMapData.height;
-            const ctx = outputCanvas.getContext('2d');
-            ctx.putImageData(normalMapData, 0, 0);
-            
-            // Create preview if enabled
-            if (this.options.showPreview) {
-                this._createPreview(outputCanvas);
-            }
-            
-            // Create Three.js texture from canvas
-            const normalTexture = new THREE.Texture(outputCanvas);
-            normalTexture.needsUpdate = true;
-            normalTexture.wrapS = THREE.RepeatWrapping;
-            normalTexture.wrapT = THREE.RepeatWrapping;
-            
-            const elapsed = (performance.now() - start).toFixed(1);
-            console.log(`⏱️ Completed in ${elapsed}ms`);
-            console.log("%c[BumpToNormal] Success ✅", "color: green;");
-            console.groupEnd();
-            
-            return normalTexture;
-        } catch (err) {
-            console.error("[BumpToNormal] Error generating normal map:", err);
-            console.groupEnd();
-            throw err;
+    createTextureFromNormalData(normalMapData, vectors = null) {
+        // Create output canvas for texture
+        const outputCanvas = document.createElement('canvas');
+        outputCanvas.width = normalMapData.width;
+        outputCanvas.height = normalMapData.height;
+        const ctx = outputCanvas.getContext('2d');
+        ctx.putImageData(normalMapData, 0, 0);
+        
+        // Create preview if enabled
+        if (this.options.showPreview) {
+            this._createPreview(outputCanvas);
         }
+        
+        // Create Three.js texture from canvas
+        const normalTexture = new THREE.Texture(outputCanvas);
+        normalTexture.needsUpdate = true;
+        normalTexture.wrapS = THREE.RepeatWrapping;
+        normalTexture.wrapT = THREE.RepeatWrapping;
+        normalTexture.userData.vectors = vectors;
+        
+        return normalTexture;
     }
     
     /**
@@ -660,96 +787,58 @@ export class ThreeJsBumpToNormalMapper {
     }
 
     /**
-     * Static: takes a bump Texture, extracts ImageData, returns normal Texture
-     * @param {THREE.Texture} bumpTexture - Input bump map texture
+     * Static: apply already generated normal map pixels to a mesh's material
+     * @param {THREE.Mesh} mesh - Target mesh
+     * @param {ImageData} normalMapData - Normal map pixels
      * @param {Object} options - Configuration options
-     * @returns {Promise<THREE.Texture>} - Promise resolving to normal map texture
+     * @param {{data: Float32Array, width: number, height: number}} [vectors] - Unit normals before encoding
+     * @returns {THREE.Texture} - Applied normal map texture
      */
-    static createNormalMap(bumpTexture, options = {}) {
-        return new Promise((resolve, reject) => {
-            try {
-                // Validate input
-                if (!bumpTexture || !bumpTexture.image) {
-                    throw new Error('Invalid bump texture provided');
-                }
-                
-                // Extract image data from texture
-                const canvas = document.createElement('canvas');
-                const width = bumpTexture.image.width || bumpTexture.image.naturalWidth;
-                const height = bumpTexture.image.height || bumpTexture.image.naturalHeight;
-                
-                if (!width || !height) {
-                    throw new Error('Invalid bump texture dimensions');
-                }
-                
-                canvas.width = width;
-                canvas.height = height;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(bumpTexture.image, 0, 0);
-                
-                // Get image data for processing
-                let bumpData;
-                try {
-                    bumpData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                } catch (err) {
-                    console.error('Error accessing image data:', err);
-                    // Try fallback for cross-origin images
-                    if (err.name === 'SecurityError') {
-                        throw new Error('Cannot access cross-origin image. Make sure the image has CORS headers.');
-                    }
-                    throw err;
-                }
-                
-                // Create mapper and process
-                const mapper = new ThreeJsBumpToNormalMapper(options);
-                const normalTexture = mapper.createNormalMapFromBump(bumpData);
-                resolve(normalTexture);
-            } catch (err) {
-                console.error('Error creating normal map:', err);
-                reject(err);
-            }
-        });
+    static applyDataToMesh(mesh, normalMapData, options = {}, vectors = null) {
+        if (!mesh || !mesh.material) {
+            throw new Error('Invalid mesh or material');
+        }
+        
+        const mapper = new ThreeJsBumpToNormalMapper(options);
+        mapper._cleanupPreviews();
+        const normalTexture = mapper.createTextureFromNormalData(normalMapData, vectors);
+        ThreeJsBumpToNormalMapper._setNormalMap(mesh, normalTexture, options);
+        
+        return normalTexture;
     }
-
+    
     /**
-     * Static: apply normal map to a mesh's material
+     * Assign a normal texture to a mesh's material
+     * @private
      * @param {THREE.Mesh} mesh - Target mesh
-     * @param {THREE.Texture} bumpTexture - Input bump map texture
+     * @param {THREE.Texture} normalTexture - Normal map texture
      * @param {Object} options - Configuration options
-     * @returns {Promise<THREE.Texture>} - Promise resolving to applied normal map texture
      */
-    static async applyToMesh(mesh, bumpTexture, options = {}) {
-        try {
-            // Validate mesh
-            if (!mesh || !mesh.material) {
-                throw new Error('Invalid mesh or material');
+    static _setNormalMap(mesh, normalTexture, options) {
+        if (mesh.material) {
+            // Clean up previous normal map if exists
+            if (mesh.material.normalMap) {
+                mesh.material.normalMap.dispose();
             }
             
-            // Generate normal map from bump
-            const normalTexture = await ThreeJsBumpToNormalMapper.createNormalMap(bumpTexture, options);
-            
-            // Apply to mesh material
-            if (mesh.material) {
-                // Clean up previous normal map if exists
-                if (mesh.material.normalMap) {
-                    mesh.material.normalMap.dispose();
-                }
-                
-                // Apply new normal map
-                mesh.material.normalMap = normalTexture;
-                mesh.material.normalScale = new THREE.Vector2(
-                    options.normalScale || 1.0,
-                    options.normalScale || 1.0
-                );
-                mesh.material.needsUpdate = true;
-            }
-            
-            return normalTexture;
-        } catch (err) {
-            console.error('Error applying normal map to mesh:', err);
-            throw err;
+            // Apply new normal map
+            mesh.material.normalMap = normalTexture;
+            ThreeJsBumpToNormalMapper.setNormalScale(mesh.material, options.normalScale || 1.0, options.convention);
+            mesh.material.needsUpdate = true;
         }
     }
+
+    /**
+     * Static: set a material's normalScale for a map in the given convention.
+     * Three.js reads normal maps as OpenGL (Y+), so DirectX maps get a negative
+     * Y scale to shade the same way.
+     * @param {THREE.Material} material - Target material
+     * @param {number} scale - Normal scale
+     * @param {string} [convention='opengl'] - 'opengl' or 'directx'
+     */
+    static setNormalScale(material, scale, convention = 'opengl') {
+        material.normalScale = new THREE.Vector2(scale, convention === 'directx' ? -scale : scale);
+    }
     
     /**
      * Clean up resources
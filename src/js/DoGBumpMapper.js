@@ -12,6 +12,14 @@ export class DoGBumpMapper {
      * @param {number} [options.sigma2=2.0] - Second Gaussian blur radius
      * @param {number} [options.heightScale=1.0] - Bump height multiplier
      * @param {number} [options.threshold=0.1] - Edge detection threshold
+     * @param {boolean} [options.signed=false] - Keep the sign of the DoG response so dark features become valleys
+     * @param {boolean} [options.invert=false] - Invert bump polarity (ridges become valleys and vice versa)
+     * @param {boolean} [options.pyramid=false] - Sum several DoG bands instead of a single sigma1/sigma2 pair
+     * @param {number} [options.bandCount=3] - Number of DoG bands in pyramid mode
+     * @param {number} [options.baseSigma=1.0] - Sigma of the finest Gaussian in pyramid mode
+     * @param {number} [options.sigmaRatio=2.0] - Sigma ratio between successive pyramid levels
+     * @param {number[]} [options.bandWeights] - Weight per band, finest first (missing weights default to 1)
+     * @param {boolean} [options.tileable=false] - Wrap the blurs around the edges so the result tiles
      * @param {boolean} [options.showDebugLogs=false] - Enable debug logging
      */
     constructor(options = {}) {
@@ -20,17 +28,29 @@ export class DoGBumpMapper {
         this.sigma2 = Math.max(0.1, options.sigma2 || 2.0);  // Second Gaussian blur radius
         this.heightScale = options.heightScale || 1.0; // Bump height multiplier
         this.threshold = options.threshold || 0.1; // Edge detection threshold
+        this.signed = options.signed || false; // Signed (ridges and valleys) vs absolute DoG
+        this.invert = options.invert || false; // Polarity inversion
+        this.tileable = options.tileable || false; // Toroidal instead of mirrored edges
+
+        // Multi-scale pyramid parameters
+        this.pyramid = options.pyramid || false;
+        this.bandCount = Math.max(1, Math.min(DoGBumpMapper.MAX_BANDS, Math.round(options.bandCount || 3)));
+        this.baseSigma = Math.max(0.1, options.baseSigma || 1.0);
+        this.sigmaRatio = Math.max(1.1, options.sigmaRatio || 2.0);
+        this.bandWeights = Array.isArray(options.bandWeights) ? options.bandWeights.slice() : [];
         this.showDebugLogs = options.showDebugLogs || false; // Debug log toggle
 
-        // Results
+        // Results: the 8-bit bump map and the float heights it was quantised from
         this.bumpMap = null;
+        this.heightField = null;
         
         // Kernel cache to avoid recalculation
         this.kernelCache = new Map();
     }
 
     /**
-     * Main processing function
+     * Main processing function. The full-precision heights are kept in
+     * this.heightField (see _generateBumpValues).
      * @param {ImageData} imageData - Input image data
      * @returns {ImageData} Generated bump map as ImageData
      */
@@ -46,12 +66,18 @@ export class DoGBumpMapper {
         // Clone the original image data
         const originalImage = this._cloneImageData(imageData);
         
-        // Apply Gaussian blurs at different scales
-        const blurredImage1 = this._applyGaussianBlur(originalImage, this.sigma1);
-        const blurredImage2 = this._applyGaussianBlur(originalImage, this.sigma2);
-        
-        // Compute difference of Gaussians
-        const dogResult = this._differenceOfGaussians(blurredImage1, blurredImage2);
+        let dogResult;
+        if (this.pyramid) {
+            // Weighted sum of DoG bands across several octaves
+            dogResult = this._differenceOfGaussiansPyramid(originalImage);
+        } else {
+            // Apply Gaussian blurs at different scales
+            const blurredImage1 = this._applyGaussianBlur(originalImage, this.sigma1);
+            const blurredImage2 = this._applyGaussianBlur(originalImage, this.sigma2);
+
+            // Compute difference of Gaussians
+            dogResult = this._differenceOfGaussians(blurredImage1, blurredImage2);
+        }
         
         // Generate bump map values based on DoG results
         this.bumpMap = this._generateBumpValues(dogResult);
@@ -60,34 +86,40 @@ export class DoGBumpMapper {
     }
 
     /**
-     * Generate bump map values based on DoG results
-     * @param {ImageData} dogImage - Difference of Gaussians result
+     * Generate bump map values based on DoG results. Besides the 8-bit bump map,
+     * the unquantised heights are stored in this.heightField, normalized so that
+     * 0..1 spans the same range as 0..255 in the bump map (0.5 ≈ neutral 128).
+     * @param {{data: Float32Array, width: number, height: number}} dogResponse - Per-pixel DoG response
      * @returns {ImageData} Generated bump map
      * @private
      */
-    _generateBumpValues(dogImage) {
-        const width = dogImage.width;
-        const height = dogImage.height;
+    _generateBumpValues(dogResponse) {
+        const width = dogResponse.width;
+        const height = dogResponse.height;
+        const polarity = this.invert ? -1 : 1;
 
-        // Create output bump map
+        // Create output bump map and float height field
         const bumpMap = new ImageData(width, height);
+        const heights = new Float32Array(width * height);
 
         // Apply threshold and convert to height values
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
                 const idx = (y * width + x) * 4;
 
-                // Get average of RGB channels as intensity
-                const dogValue = (dogImage.data[idx] + dogImage.data[idx + 1] + dogImage.data[idx + 2]) / 3;
+                // Response is already averaged across RGB channels
+                const dogValue = dogResponse.data[y * width + x];
 
-                // Apply threshold and scale
+                // Apply threshold and scale; negative responses sink below 128
                 let bumpValue = 0;
                 if (Math.abs(dogValue) > this.threshold) {
-                    bumpValue = Math.min(255, Math.max(0, 128 + dogValue * this.heightScale));
+                    bumpValue = Math.min(255, Math.max(0, 128 + polarity * dogValue * this.heightScale));
                 } else {
                     bumpValue = 128; // Neutral height
                 }
 
+                heights[y * width + x] = bumpValue / 255;
+
                 // Store in RGB channels (normal maps typically use RGB)
                 bumpMap.data[idx] = bumpValue;
                 bumpMap.data[idx + 1] = bumpValue;
@@ -96,20 +128,22 @@ export class DoGBumpMapper {
             }
         }
 
+        this.heightField = { data: heights, width, height };
         return bumpMap;
     }
 
     /**
-     * Apply Gaussian blur to an image
-     * @param {ImageData} imageData - Input image data
+     * Apply Gaussian blur to an image. The result keeps float precision (no
+     * rounding or clamping), so chained blurs and the DoG do not lose detail.
+     * @param {ImageData|{data: Float32Array, width: number, height: number}} imageData - Input RGBA pixels
      * @param {number} sigma - Gaussian sigma (standard deviation)
-     * @returns {ImageData} Blurred image data
+     * @returns {{data: Float32Array, width: number, height: number}} Blurred RGBA pixels
      * @private
      */
     _applyGaussianBlur(imageData, sigma) {
         const width = imageData.width;
         const height = imageData.height;
-        const result = this._cloneImageData(imageData);
+        const result = { data: new Float32Array(width * height * 4), width, height };
 
         // Kernel size based on sigma (typically 6*sigma)
         // Ensure kernel size is odd for proper centering
@@ -129,12 +163,7 @@ export class DoGBumpMapper {
                 let r = 0, g = 0, b = 0, weightSum = 0;
 
                 for (let i = -halfSize; i <= halfSize; i++) {
-                    // Better edge handling with mirror boundary condition
-                    let srcX = x + i;
-                    // Mirror boundary conditions
-                    if (srcX < 0) srcX = -srcX;
-                    if (srcX >= width) srcX = 2 * width - srcX - 2;
-                    
+                    const srcX = this._edgeIndex(x + i, width);
                     const srcIdx = (y * width + srcX) * 4;
                     const weight = kernel[i + halfSize];
 
@@ -160,12 +189,7 @@ export class DoGBumpMapper {
                 let r = 0, g = 0, b = 0, weightSum = 0;
 
                 for (let j = -halfSize; j <= halfSize; j++) {
-                    // Better edge handling with mirror boundary condition
-                    let srcY = y + j;
-                    // Mirror boundary conditions
-                    if (srcY < 0) srcY = -srcY;
-                    if (srcY >= height) srcY = 2 * height - srcY - 2;
-                    
+                    const srcY = this._edgeIndex(y + j, height);
                     const srcIdx = (srcY * width + x) * 4;
                     const weight = kernel[j + halfSize];
 
@@ -178,9 +202,9 @@ export class DoGBumpMapper {
                 const destIdx = (y * width + x) * 4;
                 // Avoid division by zero
                 const scale = weightSum > 0.00001 ? 1 / weightSum : 0;
-                result.data[destIdx] = Math.min(255, Math.max(0, r * scale));
-                result.data[destIdx + 1] = Math.min(255, Math.max(0, g * scale));
-                result.data[destIdx + 2] = Math.min(255, Math.max(0, b * scale));
+                result.data[destIdx] = r * scale;
+                result.data[destIdx + 1] = g * scale;
+                result.data[destIdx + 2] = b * scale;
                 result.data[destIdx + 3] = imageData.data[destIdx + 3]; // Copy alpha
             }
         }
@@ -188,6 +212,24 @@ export class DoGBumpMapper {
         return result;
     }
 
+    /**
+     * Map a sample coordinate that may fall outside the image back inside it:
+     * wrapped around when tileable, mirrored otherwise
+     * @param {number} i - Coordinate
+     * @param {number} size - Image width or height
+     * @returns {number} Valid coordinate
+     * @private
+     */
+    _edgeIndex(i, size) {
+        if (this.tileable) {
+            return ((i % size) + size) % size;
+        }
+        // Mirror boundary conditions (clamped for kernels wider than the image)
+        if (i < 0) i = -i;
+        if (i >= size) i = 2 * size - i - 2;
+        return Math.max(0, Math.min(size - 1, i));
+    }
+
     /**
      * Get or generate 1D Gaussian kernel with caching
      * @param {number} sigma - Gaussian sigma
@@ -236,26 +278,80 @@ export class DoGBumpMapper {
     }
 
     /**
-     * Compute difference between two images
-     * @param {ImageData} image1 - First image
-     * @param {ImageData} image2 - Second image
-     * @returns {ImageData} Difference image
+     * Get the sigma of every Gaussian level used by pyramid mode
+     * @returns {number[]} bandCount + 1 sigmas, finest first
+     */
+    getPyramidSigmas() {
+        const sigmas = [];
+        for (let level = 0; level <= this.bandCount; level++) {
+            sigmas.push(this.baseSigma * Math.pow(this.sigmaRatio, level));
+        }
+        return sigmas;
+    }
+
+    /**
+     * Compute a weighted sum of DoG bands, like the levels of a Laplacian pyramid.
+     * Each level is blurred from the previous one with the incremental sigma
+     * sqrt(s2² - s1²), which is equivalent to blurring the original but keeps
+     * the kernels small for the coarse octaves.
+     * @param {ImageData} imageData - Input image data
+     * @returns {{data: Float32Array, width: number, height: number}} Combined DoG response
+     * @private
+     */
+    _differenceOfGaussiansPyramid(imageData) {
+        const width = imageData.width;
+        const height = imageData.height;
+        const sigmas = this.getPyramidSigmas();
+        const combined = new Float32Array(width * height);
+
+        let previous = this._applyGaussianBlur(imageData, sigmas[0]);
+        for (let band = 0; band < this.bandCount; band++) {
+            const incrementalSigma = Math.sqrt(sigmas[band + 1] ** 2 - sigmas[band] ** 2);
+            const next = this._applyGaussianBlur(previous, incrementalSigma);
+            const weight = this.bandWeights[band] ?? 1.0;
+
+            if (weight !== 0) {
+                const bandResponse = this._differenceOfGaussians(previous, next);
+                for (let p = 0; p < combined.length; p++) {
+                    combined[p] += weight * bandResponse.data[p];
+                }
+            }
+
+            if (this.showDebugLogs) {
+                console.log(`[DoGBump] Band ${band}: σ ${sigmas[band].toFixed(2)} → ${sigmas[band + 1].toFixed(2)}, weight ${weight}`);
+            }
+            previous = next;
+        }
+
+        return { data: combined, width, height };
+    }
+
+    /**
+     * Compute the per-pixel difference between two images, averaged over RGB.
+     * In signed mode the float difference is kept so that features darker than
+     * their surroundings produce negative responses; otherwise the absolute
+     * difference of each channel is used.
+     * @param {{data: Float32Array, width: number, height: number}} image1 - First blurred image
+     * @param {{data: Float32Array, width: number, height: number}} image2 - Second blurred image
+     * @returns {{data: Float32Array, width: number, height: number}} DoG response
      * @private
      */
     _differenceOfGaussians(image1, image2) {
         const width = image1.width;
         const height = image1.height;
-        const result = new ImageData(width, height);
-
-        for (let i = 0; i < image1.data.length; i += 4) {
-            // Calculate difference for each channel
-            result.data[i] = Math.abs(image1.data[i] - image2.data[i]);
-            result.data[i + 1] = Math.abs(image1.data[i + 1] - image2.data[i + 1]);
-            result.data[i + 2] = Math.abs(image1.data[i + 2] - image2.data[i + 2]);
-            result.data[i + 3] = 255; // Alpha
+        const response = new Float32Array(width * height);
+
+        for (let i = 0, p = 0; i < image1.data.length; i += 4, p++) {
+            const dr = image1.data[i] - image2.data[i];
+            const dg = image1.data[i + 1] - image2.data[i + 1];
+            const db = image1.data[i + 2] - image2.data[i + 2];
+
+            response[p] = this.signed
+                ? (dr + dg + db) / 3
+                : (Math.abs(dr) + Math.abs(dg) + Math.abs(db)) / 3;
         }
 
-        return result;
+        return { data: response, width, height };
     }
 
     /**
@@ -274,6 +370,9 @@ export class DoGBumpMapper {
     }
 }
 
+// Upper bound for the number of pyramid bands
+DoGBumpMapper.MAX_BANDS = 6;
+
 // Integration with Three.js
 import * as THREE from 'three';
 
@@ -298,68 +397,40 @@ export class ThreeJsDoGBumpMapper {
     }
 
     /**
-     * Process an image and create a Three.js texture
-     * @param {string} imageUrl - URL of the image to process
-     * @returns {Promise<THREE.Texture>} Promise resolving to the created texture
+     * Create a Three.js texture from an already generated bump map
+     * (e.g. one computed off the main thread)
+     * @param {ImageData} bumpMapData - Bump map pixels
+     * @param {{data: Float32Array, width: number, height: number}} [heightField] - Unquantised heights (0..1)
+     * @returns {THREE.Texture} The created texture
      */
-    createBumpTexture(imageUrl) {
-        return new Promise((resolve, reject) => {
-            // Clean up previous previews if they exist
-            this._cleanupPreviews();
-            
-            const img = new Image();
-            img.crossOrigin = "Anonymous";
-
-            img.onload = () => {
-                if (this.options.debugLogs) {
-                    console.log(`[DoGBump] Image loaded (${img.width}×${img.height}):`, img.src);
-                }
-                
-                try {
-                    // Create canvas and get image data
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d');
-                    canvas.width = img.width;
-                    canvas.height = img.height;
-                    ctx.drawImage(img, 0, 0);
-
-                    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-                    // Generate bump map
-                    const bumpMapData = this.dogMapper.generateBumpMap(imageData);
-
-                    // Create output canvas for the bump map
-                    const outputCanvas = document.createElement('canvas');
-                    outputCanvas.width = bumpMapData.width;
-                    outputCanvas.height = bumpMapData.height;
-                    const outputCtx = outputCanvas.getContext('2d');
-                    outputCtx.putImageData(bumpMapData, 0, 0);
-                    
-                    // Only add previews if enabled
-                    if (this.options.showPreviews) {
-                        this._createPreviews(outputCanvas);
-                    }
-
-                    // Create Three.js texture from bump map
-                    const texture = new THREE.Texture(outputCanvas);
-                    texture.wrapS = THREE.RepeatWrapping;
-                    texture.wrapT = THREE.RepeatWrapping;
-                    texture.needsUpdate = true;
-
-                    resolve(texture);
-                } catch (error) {
-                    console.error('[DoGBump] Error generating bump map:', error);
-                    reject(error);
-                }
-            };
+    createBumpTextureFromData(bumpMapData, heightField = null) {
+        // Clean up previous previews if they exist
+        this._cleanupPreviews();
 
-            img.onerror = (error) => {
-                console.error(`[DoGBump] Failed to load image: ${imageUrl}`, error);
-                reject(new Error(`Failed to load image: ${imageUrl}`));
-            };
+        // Create output canvas for the bump map
+        const outputCanvas = document.createElement('canvas');
+        outputCanvas.width = bumpMapData.width;
+        outputCanvas.height = bumpMapData.height;
+        const outputCtx = outputCanvas.getContext('2d');
+        outputCtx.putImageData(bumpMapData, 0, 0);
 
-            img.src = imageUrl;
-        });
+        // Only add previews if enabled
+        if (this.options.showPreviews) {
+            this._createPreviews(outputCanvas);
+        }
+
+        // Create Three.js texture from bump map
+        const texture = new THREE.Texture(outputCanvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.needsUpdate = true;
+
+        // Keep the pixels so later stages don't have to read them back from the canvas,
+        // and the float heights for high bit depth export
+        texture.userData.imageData = bumpMapData;
+        texture.userData.heightField = heightField;
+
+        return texture;
     }
 
     /**
@@ -441,41 +512,45 @@ export class ThreeJsDoGBumpMapper {
     }
 
     /**
-     * Static method to apply bump map to a mesh
+     * Static method to apply already generated bump map pixels to a mesh
      * @param {THREE.Mesh} mesh - The mesh to apply the bump map to
-     * @param {string} imageUrl - URL of the image to process
+     * @param {ImageData} bumpMapData - Bump map pixels
      * @param {Object} options - Configuration options
-     * @returns {Promise<THREE.Texture>} Promise resolving to the created texture
+     * @param {{data: Float32Array, width: number, height: number}} [heightField] - Unquantised heights (0..1)
+     * @returns {THREE.Texture} The created texture
      */
-    static async applyToMesh(mesh, imageUrl, options = {}) {
+    static applyDataToMesh(mesh, bumpMapData, options = {}, heightField = null) {
         if (!mesh) {
             throw new Error('[DoGBump] Invalid mesh provided');
         }
-        
+
         const mapper = new ThreeJsDoGBumpMapper(options);
         try {
-            const bumpTexture = await mapper.createBumpTexture(imageUrl);
-
-            // Apply as bump map to material
-            if (mesh.material) {
-                // Dispose of previous bump map to avoid memory leaks
-                if (mesh.material.bumpMap) {
-                    mesh.material.bumpMap.dispose();
-                }
-                
-                mesh.material.bumpMap = bumpTexture;
-                mesh.material.bumpScale = options.bumpScale || 0.1;
-                mesh.material.needsUpdate = true;
-            }
-
+            const bumpTexture = mapper.createBumpTextureFromData(bumpMapData, heightField);
+            ThreeJsDoGBumpMapper._setBumpMap(mesh, bumpTexture, options);
             return bumpTexture;
-        } catch (error) {
-            console.error('[DoGBump] Error applying bump map:', error);
-            throw error;
         } finally {
-            // Clean up mapper resources but leave the texture
-            // (as it's now being used by the mesh)
             mapper._cleanupPreviews();
         }
     }
+
+    /**
+     * Assign a bump texture to a mesh's material
+     * @param {THREE.Mesh} mesh - Target mesh
+     * @param {THREE.Texture} bumpTexture - Bump texture
+     * @param {Object} options - Configuration options
+     * @private
+     */
+    static _setBumpMap(mesh, bumpTexture, options) {
+        if (mesh.material) {
+            // Dispose of previous bump map to avoid memory leaks
+            if (mesh.material.bumpMap) {
+                mesh.material.bumpMap.dispose();
+            }
+
+            mesh.material.bumpMap = bumpTexture;
+            mesh.material.bumpScale = options.bumpScale || 0.1;
+            mesh.material.needsUpdate = true;
+        }
+    }
 }
\ No newline at end of file
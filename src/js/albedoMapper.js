@@ -89,56 +89,29 @@ export class ThreeJsAlbedoMapper {
     }
 
     /**
-     * Process an image URL and create a THREE.Texture
-     * @param {string} imageUrl
-     * @returns {Promise<THREE.Texture>}
+     * Create a THREE.Texture from already generated albedo pixels
+     * @param {ImageData} albedoData
+     * @returns {THREE.Texture}
      */
-    createAlbedoTexture(imageUrl) {
-        return new Promise((resolve, reject) => {
-            this._cleanupPreviews();
-            const img = new Image();
-            img.crossOrigin = 'Anonymous';
-
-            img.onload = () => {
-                try {
-                    const canvas = document.createElement('canvas');
-                    const ctx    = canvas.getContext('2d');
-                    canvas.width  = img.width;
-                    canvas.height = img.height;
-                    ctx.drawImage(img, 0, 0);
-
-                    const srcData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                    const outData = this.mapper.generateAlbedoMap(srcData);
-
-                    // Render to output canvas
-                    const outCanvas = document.createElement('canvas');
-                    outCanvas.width  = outData.width;
-                    outCanvas.height = outData.height;
-                    outCanvas.getContext('2d').putImageData(outData, 0, 0);
-
-                    if (this.options.showPreviews) {
-                        this._createPreviews(outCanvas);
-                    }
-
-                    const texture = new THREE.Texture(outCanvas);
-                    texture.wrapS = THREE.RepeatWrapping;
-                    texture.wrapT = THREE.RepeatWrapping;
-                    texture.needsUpdate = true;
-
-                    resolve(texture);
-                } catch (error) {
-                    console.error('[AlbedoMap] Error generating albedo map:', error);
-                    reject(error);
-                }
-            };
-
-            img.onerror = (err) => {
-                console.error('[AlbedoMap] Image load failed:', err);
-                reject(new Error(`Failed to load image: ${imageUrl}`));
-            };
-
-            img.src = imageUrl;
-        });
+    createAlbedoTextureFromData(albedoData) {
+        this._cleanupPreviews();
+
+        // Render to output canvas
+        const outCanvas = document.createElement('canvas');
+        outCanvas.width  = albedoData.width;
+        outCanvas.height = albedoData.height;
+        outCanvas.getContext('2d').putImageData(albedoData, 0, 0);
+
+        if (this.options.showPreviews) {
+            this._createPreviews(outCanvas);
+        }
+
+        const texture = new THREE.Texture(outCanvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.needsUpdate = true;
+
+        return texture;
     }
 
     /**
@@ -185,25 +158,35 @@ export class ThreeJsAlbedoMapper {
     }
 
     /**
-     * Static helper to apply albedo map to a mesh
+     * Static helper to apply already generated albedo pixels to a mesh
      * @param {THREE.Mesh} mesh
-     * @param {string} imageUrl
+     * @param {ImageData} albedoData
      * @param {Object} options
-     * @returns {Promise<THREE.Texture>}
+     * @returns {THREE.Texture}
      */
-    static async applyToMesh(mesh, imageUrl, options = {}) {
+    static applyDataToMesh(mesh, albedoData, options = {}) {
         if (!mesh) throw new Error('[AlbedoMap] Invalid mesh provided');
         const mapper = new ThreeJsAlbedoMapper(options);
         try {
-            const albedoTex = await mapper.createAlbedoTexture(imageUrl);
-            if (mesh.material) {
-                if (mesh.material.map) mesh.material.map.dispose();
-                mesh.material.map = albedoTex;
-                mesh.material.needsUpdate = true;
-            }
+            const albedoTex = mapper.createAlbedoTextureFromData(albedoData);
+            ThreeJsAlbedoMapper._setAlbedoMap(mesh, albedoTex);
             return albedoTex;
         } finally {
             mapper._cleanupPreviews();
         }
     }
+
+    /**
+     * Assign an albedo texture to a mesh's material
+     * @param {THREE.Mesh} mesh
+     * @param {THREE.Texture} albedoTex
+     * @private
+     */
+    static _setAlbedoMap(mesh, albedoTex) {
+        if (mesh.material) {
+            if (mesh.material.map) mesh.material.map.dispose();
+            mesh.material.map = albedoTex;
+            mesh.material.needsUpdate = true;
+        }
+    }
 }
@@ -100,101 +100,74 @@ export class ThreeJsEmissionMapper {
     }
 
     /**
-     * Process an image URL and create a THREE.Texture for emissiveMap
-     * @param {string} imageUrl
-     * @returns {Promise<THREE.Texture>}
+     * Blur, tint and wrap already generated emission pixels in a THREE.Texture
+     * @param {ImageData} outData - Raw grayscale emission map
+     * @returns {THREE.Texture}
      */
-    createEmissionTexture(imageUrl) {
-        return new Promise((resolve, reject) => {
-            this._cleanupPreviews();
-            const img = new Image();
-            img.crossOrigin = 'Anonymous';
-
-            img.onload = () => {
-                try {
-                    // draw source
-                    const srcCanvas = document.createElement('canvas');
-                    const srcCtx    = srcCanvas.getContext('2d');
-                    srcCanvas.width  = img.width;
-                    srcCanvas.height = img.height;
-                    srcCtx.drawImage(img, 0, 0);
-
-                    // compute raw emission map
-                    const srcData = srcCtx.getImageData(0, 0, img.width, img.height);
-                    const outData = this.mapper.generateEmissionMap(srcData);
-
-                    // draw to output canvas
-                    let outCanvas = document.createElement('canvas');
-                    outCanvas.width  = outData.width;
-                    outCanvas.height = outData.height;
-                    const outCtx = outCanvas.getContext('2d');
-                    outCtx.putImageData(outData, 0, 0);
-
-                    // optional blur
-                    if (this.mapper.blurRadius > 0) {
-                        const blurCanvas = document.createElement('canvas');
-                        blurCanvas.width  = outCanvas.width;
-                        blurCanvas.height = outCanvas.height;
-                        const blurCtx = blurCanvas.getContext('2d');
-                        blurCtx.filter = `blur(${this.mapper.blurRadius}px)`;
-                        blurCtx.drawImage(outCanvas, 0, 0);
-                        outCanvas = blurCanvas;
-                    }
-
-                    // optional floating previews
-                    if (this.options.showPreviews && !this.options.previewElementId) {
-                        this._createPreviews(outCanvas);
-                    }
-                    // embedded preview
-                    if (this.options.previewElementId) {
-                        const preview = document.getElementById(this.options.previewElementId);
-                        if (preview && preview.getContext) {
-                            preview.width  = outCanvas.width;
-                            preview.height = outCanvas.height;
-                            const ctx = preview.getContext('2d');
-                            ctx.clearRect(0, 0, preview.width, preview.height);
-                            ctx.drawImage(outCanvas, 0, 0, preview.width, preview.height);
-                        }
-                    }
-
-                    // tint output canvas by applying color and alpha mask
-                    const tintedCanvas = document.createElement('canvas');
-                    tintedCanvas.width  = outCanvas.width;
-                    tintedCanvas.height = outCanvas.height;
-                    const tintedCtx = tintedCanvas.getContext('2d');
-                    // draw grayscale as alpha mask
-                    tintedCtx.drawImage(outCanvas, 0, 0);
-                    tintedCtx.globalCompositeOperation = 'source-in';
-                    tintedCtx.fillStyle = `#${this.color.getHexString()}`;
-                    tintedCtx.fillRect(0, 0, tintedCanvas.width, tintedCanvas.height);
+    createEmissionTextureFromData(outData) {
+        this._cleanupPreviews();
+
+        // draw to output canvas
+        let outCanvas = document.createElement('canvas');
+        outCanvas.width  = outData.width;
+        outCanvas.height = outData.height;
+        const outCtx = outCanvas.getContext('2d');
+        outCtx.putImageData(outData, 0, 0);
+
+        // optional blur
+        if (this.mapper.blurRadius > 0) {
+            const blurCanvas = document.createElement('canvas');
+            blurCanvas.width  = outCanvas.width;
+            blurCanvas.height = outCanvas.height;
+            const blurCtx = blurCanvas.getContext('2d');
+            blurCtx.filter = `blur(${this.mapper.blurRadius}px)`;
+            blurCtx.drawImage(outCanvas, 0, 0);
+            outCanvas = blurCanvas;
+        }
 
-                    // create texture
-                    const texture = new THREE.Texture(tintedCanvas);
-                    texture.wrapS     = THREE.RepeatWrapping;
-                    texture.wrapT     = THREE.RepeatWrapping;
-                    texture.needsUpdate = true;
+        // optional floating previews
+        if (this.options.showPreviews && !this.options.previewElementId) {
+            this._createPreviews(outCanvas);
+        }
+        // embedded preview
+        if (this.options.previewElementId) {
+            const preview = document.getElementById(this.options.previewElementId);
+            if (preview && preview.getContext) {
+                preview.width  = outCanvas.width;
+                preview.height = outCanvas.height;
+                const ctx = preview.getContext('2d');
+                ctx.clearRect(0, 0, preview.width, preview.height);
+                ctx.drawImage(outCanvas, 0, 0, preview.width, preview.height);
+            }
+        }
 
-                    if (this.options.debugLogs) {
-                        console.log('[EmissionMap] generated', {
-                            size: `${outCanvas.width}×${outCanvas.height}`,
-                            threshold: this.mapper.threshold,
-                            exponent: this.mapper.exponent,
-                            blurRadius: this.mapper.blurRadius
-                        });
-                    }
+        // tint output canvas by applying color and alpha mask
+        const tintedCanvas = document.createElement('canvas');
+        tintedCanvas.width  = outCanvas.width;
+        tintedCanvas.height = outCanvas.height;
+        const tintedCtx = tintedCanvas.getContext('2d');
+        // draw grayscale as alpha mask
+        tintedCtx.drawImage(outCanvas, 0, 0);
+        tintedCtx.globalCompositeOperation = 'source-in';
+        tintedCtx.fillStyle = `#${this.color.getHexString()}`;
+        tintedCtx.fillRect(0, 0, tintedCanvas.width, tintedCanvas.height);
+
+        // create texture
+        const texture = new THREE.Texture(tintedCanvas);
+        texture.wrapS     = THREE.RepeatWrapping;
+        texture.wrapT     = THREE.RepeatWrapping;
+        texture.needsUpdate = true;
+
+        if (this.options.debugLogs) {
+            console.log('[EmissionMap] generated', {
+                size: `${outCanvas.width}×${outCanvas.height}`,
+                threshold: this.mapper.threshold,
+                exponent: this.mapper.exponent,
+                blurRadius: this.mapper.blurRadius
+            });
+        }
 
-                    resolve(texture);
-                } catch (err) {
-                    console.error('[EmissionMap] Error generating emission map:', err);
-                    reject(err);
-                }
-            };
-            img.onerror = (err) => {
-                console.error('[EmissionMap] Image load failed:', err);
-                reject(new Error(`Failed to load image: ${imageUrl}`));
-            };
-            img.src = imageUrl;
-        });
+        return texture;
     }
 
     /**
@@ -228,30 +201,40 @@ export class ThreeJsEmissionMapper {
     }
 
     /**
-     * Static helper to apply emission map to a mesh
+     * Static helper to apply already generated emission pixels to a mesh
      * @param {THREE.Mesh} mesh
-     * @param {string} imageUrl
+     * @param {ImageData} emissionData - Raw grayscale emission map
      * @param {Object} options
-     * @returns {Promise<THREE.Texture>}
+     * @returns {THREE.Texture}
      */
-    static async applyToMesh(mesh, imageUrl, options = {}) {
+    static applyDataToMesh(mesh, emissionData, options = {}) {
         if (!mesh) throw new Error('[EmissionMap] Invalid mesh provided');
         const mapper    = new ThreeJsEmissionMapper(options);
         try {
             if (mesh.material && mesh.material.emissiveMap) {
                 mesh.material.emissiveMap.dispose();
             }
-            const tex = await mapper.createEmissionTexture(imageUrl);
-            if (mesh.material) {
-                mesh.material.emissiveMap       = tex;
-                mesh.material.emissive.copy(mapper.color);
-                mesh.material.emissiveIntensity = mapper.intensity;
-                mesh.material.needsUpdate       = true;
-            }
+            const tex = mapper.createEmissionTextureFromData(emissionData);
+            mapper._setEmissionMap(mesh, tex);
             return tex;
         } finally {
             mapper._cleanupPreviews();
         }
     }
+
+    /**
+     * Assign an emission texture, color and intensity to a mesh's material
+     * @param {THREE.Mesh} mesh
+     * @param {THREE.Texture} tex
+     * @private
+     */
+    _setEmissionMap(mesh, tex) {
+        if (mesh.material) {
+            mesh.material.emissiveMap       = tex;
+            mesh.material.emissive.copy(this.color);
+            mesh.material.emissiveIntensity = this.intensity;
+            mesh.material.needsUpdate       = true;
+        }
+    }
 }
  
\ No newline at end of file
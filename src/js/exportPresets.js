@@ -0,0 +1,180 @@
+// Export Presets
+// Engine-specific packing and naming for the generated maps. Each preset lists
+// the files an engine expects: plain copies of a map, or grayscale maps packed
+// into the channels of one texture (e.g. Unreal's ORM). Normal maps are
+// converted to the engine's green channel convention.
+
+import { DEFAULT_ROUGHNESS, DEFAULT_METALNESS } from './materialDefaults.js';
+
+/**
+ * Value used for a packed channel whose map was not generated, matching what
+ * the viewer shows without that map
+ */
+const MISSING_MAP_VALUES = {
+    ao: 1.0,
+    roughness: DEFAULT_ROUGHNESS,
+    metalness: DEFAULT_METALNESS
+};
+
+/**
+ * Presets keyed by id
+ * - files[].suffix: appended to the base name, as in `${baseName}_${suffix}.png`
+ * - files[].copy: map type written as is (skipped when the map is missing)
+ * - files[].pack: channel sources for R, G, B (and A); each reads the red channel
+ *   of a map ({ map, invert }) or is a constant ({ value }). A missing map is
+ *   replaced by its MISSING_MAP_VALUES entry, inverted like the map would be
+ * - normalConvention: 'opengl' (Y+) or 'directx' (Y-) green channel
+ */
+export const ENGINE_PRESETS = {
+    unity: {
+        label: 'Unity (HDRP)',
+        normalConvention: 'opengl',
+        files: [
+            { suffix: 'BaseMap', copy: 'albedo' },
+            { suffix: 'Normal', copy: 'normal' },
+            // Mask map: metallic, occlusion, detail mask, smoothness
+            {
+                suffix: 'MaskMap',
+                pack: [
+                    { map: 'metalness' },
+                    { map: 'ao' },
+                    { value: 1.0 },
+                    { map: 'roughness', invert: true }
+                ]
+            },
+            { suffix: 'Emission', copy: 'emission' },
+            { suffix: 'Height', copy: 'bump' }
+        ]
+    },
+    unreal: {
+        label: 'Unreal Engine',
+        normalConvention: 'directx',
+        files: [
+            { suffix: 'BaseColor', copy: 'albedo' },
+            { suffix: 'Normal', copy: 'normal' },
+            {
+                suffix: 'ORM',
+                pack: [{ map: 'ao' }, { map: 'roughness' }, { map: 'metalness' }]
+            },
+            { suffix: 'Emissive', copy: 'emission' },
+            { suffix: 'Height', copy: 'bump' }
+        ]
+    },
+    godot: {
+        label: 'Godot',
+        normalConvention: 'opengl',
+        files: [
+            { suffix: 'albedo', copy: 'albedo' },
+            { suffix: 'normal', copy: 'normal' },
+            {
+                suffix: 'orm',
+                pack: [{ map: 'ao' }, { map: 'roughness' }, { map: 'metalness' }]
+            },
+            { suffix: 'emission', copy: 'emission' },
+            { suffix: 'height', copy: 'bump' }
+        ]
+    },
+    blender: {
+        label: 'Blender',
+        normalConvention: 'opengl',
+        files: [
+            { suffix: 'BaseColor', copy: 'albedo' },
+            { suffix: 'Normal', copy: 'normal' },
+            { suffix: 'Roughness', copy: 'roughness' },
+            { suffix: 'Metallic', copy: 'metalness' },
+            { suffix: 'AO', copy: 'ao' },
+            { suffix: 'Emission', copy: 'emission' },
+            { suffix: 'Height', copy: 'bump' }
+        ]
+    }
+};
+
+/**
+ * Work out the files a preset produces from the available maps
+ * @param {string} presetId - Key of ENGINE_PRESETS
+ * @param {Object<string, ImageData>} maps - Generated maps keyed by map type (albedo, normal, bump, ...)
+ * @param {string} baseName - Base file name
+ * @param {Object} [options]
+ * @param {string} [options.normalConvention='opengl'] - Convention of the generated normal map
+ * @returns {Array<{fileName: string, mapType: string|null, imageData: ImageData|null}>}
+ *   One entry per file: plain copies name their map type and leave imageData null;
+ *   packed or converted files carry their pixels
+ */
+export function buildPresetFiles(presetId, maps, baseName, options = {}) {
+    const preset = ENGINE_PRESETS[presetId];
+    if (!preset) {
+        throw new Error(`[ExportPresets] Unknown preset: ${presetId}`);
+    }
+    const sourceConvention = options.normalConvention || 'opengl';
+
+    const files = [];
+    preset.files.forEach(file => {
+        const fileName = `${baseName}_${file.suffix}.png`;
+
+        if (file.copy) {
+            const source = maps[file.copy];
+            if (!source) return;
+
+            if (file.copy === 'normal' && preset.normalConvention !== sourceConvention) {
+                files.push({ fileName, mapType: null, imageData: flipGreen(source) });
+            } else {
+                files.push({ fileName, mapType: file.copy, imageData: null });
+            }
+            return;
+        }
+
+        // Packed files need at least one of their maps
+        if (!file.pack.some(channel => channel.map && maps[channel.map])) return;
+        files.push({ fileName, mapType: null, imageData: packChannels(file.pack, maps) });
+    });
+
+    return files;
+}
+
+/**
+ * Pack the red channel of several grayscale maps into one RGBA image
+ * @param {Array<Object>} channels - Sources for R, G, B and optionally A
+ * @param {Object<string, ImageData>} maps - Generated maps keyed by map type
+ * @returns {ImageData}
+ */
+function packChannels(channels, maps) {
+    const sized = channels.map(channel => maps[channel.map]).find(Boolean);
+    const { width, height } = sized;
+    const output = new ImageData(width, height);
+    const outBuf = output.data;
+
+    channels.forEach((channel, c) => {
+        const source = channel.map ? maps[channel.map] : null;
+        if (source && (source.width !== width || source.height !== height)) {
+            throw new Error(`[ExportPresets] ${channel.map} map size does not match the other packed maps`);
+        }
+
+        const constant = source ? 0 : Math.round(255 * (channel.value ?? MISSING_MAP_VALUES[channel.map] ?? 0));
+        for (let i = 0; i < outBuf.length; i += 4) {
+            const value = source ? source.data[i] : constant;
+            outBuf[i + c] = channel.invert ? 255 - value : value;
+        }
+    });
+
+    // Opaque unless the preset packs something into alpha
+    if (channels.length < 4) {
+        for (let i = 3; i < outBuf.length; i += 4) {
+            outBuf[i] = 255;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Convert a normal map between the OpenGL and DirectX conventions
+ * @param {ImageData} normalMap
+ * @returns {ImageData} Copy with the green channel inverted
+ */
+export function flipGreen(normalMap) {
+    const output = new ImageData(new Uint8ClampedArray(normalMap.data), normalMap.width, normalMap.height);
+    for (let i = 1; i < output.data.length; i += 4) {
+        output.data[i] = 255 - output.data[i];
+    }
+    return output;
+}
@@ -0,0 +1,216 @@
+// EXR Writer
+// Encodes float images as single-part scanline OpenEXR files with 32-bit float
+// channels, so offline renderers get the heights and normals exactly as computed.
+// Supported compressions are NONE, ZIPS (one scanline per block) and ZIP
+// (16 scanlines per block). PIZ, PXR24 and the lossy B44/DWA schemes are not written.
+
+const EXR_MAGIC = 20000630;
+const EXR_VERSION = 2;
+
+// Pixel type FLOAT in the channel list
+const PIXEL_TYPE_FLOAT = 2;
+
+/**
+ * Compression schemes: id in the header and scanlines per block
+ */
+const EXR_COMPRESSION = {
+    none: { id: 0, linesPerBlock: 1 },
+    zips: { id: 2, linesPerBlock: 1 },
+    zip:  { id: 3, linesPerBlock: 16 }
+};
+
+/**
+ * Little-endian byte sink for the header
+ */
+class ByteBuilder {
+    constructor() {
+        this.bytes = [];
+        this._encoder = new TextEncoder();
+    }
+
+    uint8(value) {
+        this.bytes.push(value & 0xff);
+    }
+
+    int32(value) {
+        const view = new DataView(new ArrayBuffer(4));
+        view.setInt32(0, value, true);
+        this.raw(new Uint8Array(view.buffer));
+    }
+
+    float32(value) {
+        const view = new DataView(new ArrayBuffer(4));
+        view.setFloat32(0, value, true);
+        this.raw(new Uint8Array(view.buffer));
+    }
+
+    // Null-terminated string
+    string(text) {
+        this.raw(this._encoder.encode(text));
+        this.uint8(0);
+    }
+
+    raw(bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            this.bytes.push(bytes[i]);
+        }
+    }
+
+    // Header attribute: name, type name, size, value
+    attribute(name, type, writeValue) {
+        const value = new ByteBuilder();
+        writeValue(value);
+        this.string(name);
+        this.string(type);
+        this.int32(value.bytes.length);
+        this.raw(value.bytes);
+    }
+
+    toUint8Array() {
+        return new Uint8Array(this.bytes);
+    }
+}
+
+/**
+ * zlib-compress bytes with the browser's CompressionStream
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflate(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('[EXRWriter] This browser cannot compress EXR data (CompressionStream is missing)');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * ZIP block preprocessing from the OpenEXR spec: split even and odd bytes
+ * into two halves, then delta-encode the result
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function interleaveAndPredict(bytes) {
+    const out = new Uint8Array(bytes.length);
+    const half = (bytes.length + 1) >> 1;
+    for (let i = 0, even = 0, odd = half; i < bytes.length; i += 2) {
+        out[even++] = bytes[i];
+        if (i + 1 < bytes.length) out[odd++] = bytes[i + 1];
+    }
+
+    let previous = out[0];
+    for (let i = 1; i < out.length; i++) {
+        const current = out[i];
+        out[i] = (current - previous + 128 + 256) & 0xff;
+        previous = current;
+    }
+    return out;
+}
+
+/**
+ * Encode a float image as an OpenEXR file
+ * @param {Object} image
+ * @param {number} image.width
+ * @param {number} image.height
+ * @param {Object<string, Float32Array>} image.channels - One plane per channel (e.g. R, G, B or Y), row-major, top row first
+ * @param {Object} [options]
+ * @param {string} [options.compression='zip'] - 'none', 'zips' or 'zip'
+ * @returns {Promise<Blob>} EXR file as a Blob of type image/x-exr
+ */
+export async function encodeEXR(image, options = {}) {
+    const { width, height } = image;
+    const compression = EXR_COMPRESSION[options.compression || 'zip'];
+    if (!compression) {
+        throw new Error(`[EXRWriter] Unsupported compression: ${options.compression}`);
+    }
+
+    // Channels are stored in alphabetical order
+    const channelNames = Object.keys(image.channels || {}).sort();
+    if (!width || !height || channelNames.length === 0) {
+        throw new Error('[EXRWriter] Invalid image');
+    }
+    channelNames.forEach(name => {
+        if (image.channels[name].length !== width * height) {
+            throw new Error(`[EXRWriter] Channel ${name} does not match the image size`);
+        }
+    });
+
+    const header = new ByteBuilder();
+    header.int32(EXR_MAGIC);
+    header.int32(EXR_VERSION);
+
+    header.attribute('channels', 'chlist', value => {
+        channelNames.forEach(name => {
+            value.string(name);
+            value.int32(PIXEL_TYPE_FLOAT);
+            value.raw([0, 0, 0, 0]);        // pLinear and reserved
+            value.int32(1);                 // x sampling
+            value.int32(1);                 // y sampling
+        });
+        value.uint8(0);
+    });
+    header.attribute('compression', 'compression', value => value.uint8(compression.id));
+    const box = value => {
+        value.int32(0);
+        value.int32(0);
+        value.int32(width - 1);
+        value.int32(height - 1);
+    };
+    header.attribute('dataWindow', 'box2i', box);
+    header.attribute('displayWindow', 'box2i', box);
+    header.attribute('lineOrder', 'lineOrder', value => value.uint8(0)); // Increasing Y
+    header.attribute('pixelAspectRatio', 'float', value => value.float32(1));
+    header.attribute('screenWindowCenter', 'v2f', value => {
+        value.float32(0);
+        value.float32(0);
+    });
+    header.attribute('screenWindowWidth', 'float', value => value.float32(1));
+    header.uint8(0);
+    const headerBytes = header.toUint8Array();
+
+    // Blocks: for each scanline, each channel's row of little-endian floats
+    const rowBytes = width * 4;
+    const blockCount = Math.ceil(height / compression.linesPerBlock);
+    const blocks = [];
+    for (let block = 0; block < blockCount; block++) {
+        const y0 = block * compression.linesPerBlock;
+        const lines = Math.min(compression.linesPerBlock, height - y0);
+        const raw = new Uint8Array(lines * channelNames.length * rowBytes);
+        const view = new DataView(raw.buffer);
+
+        let offset = 0;
+        for (let y = y0; y < y0 + lines; y++) {
+            channelNames.forEach(name => {
+                const plane = image.channels[name];
+                for (let x = 0; x < width; x++) {
+                    view.setFloat32(offset, plane[y * width + x], true);
+                    offset += 4;
+                }
+            });
+        }
+
+        // Readers take a block that is not smaller than its raw size as uncompressed
+        let data = raw;
+        if (compression.id !== EXR_COMPRESSION.none.id) {
+            const compressed = await deflate(interleaveAndPredict(raw));
+            if (compressed.length < raw.length) data = compressed;
+        }
+
+        const chunkHeader = new DataView(new ArrayBuffer(8));
+        chunkHeader.setInt32(0, y0, true);
+        chunkHeader.setInt32(4, data.length, true);
+        blocks.push({ header: chunkHeader, data });
+    }
+
+    // Offset table: absolute file position of every block
+    const offsetTable = new DataView(new ArrayBuffer(blockCount * 8));
+    let position = headerBytes.length + blockCount * 8;
+    blocks.forEach((block, index) => {
+        offsetTable.setBigUint64(index * 8, BigInt(position), true);
+        position += 8 + block.data.length;
+    });
+
+    const parts = [headerBytes, offsetTable];
+    blocks.forEach(block => parts.push(block.header, block.data));
+    return new Blob(parts, { type: 'image/x-exr' });
+}
@@ -0,0 +1,302 @@
+// Lighting
+// Image-based lighting and the editable light rig of the viewer.
+// Environments are prefiltered with PMREM so rough and metallic surfaces pick
+// up varied reflections. The built-in studio environments are generated in
+// code (three's RoomEnvironment and a few procedural HDR panoramas) so the
+// bundle ships no image files; any local .hdr or .exr panorama can be loaded.
+
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+
+/**
+ * Environments keyed by id. `custom` is the last loaded panorama.
+ */
+export const ENVIRONMENT_PRESETS = {
+    none: { label: 'None' },
+    room: { label: 'Studio Room' },
+    softbox: { label: 'Softbox Studio' },
+    overcast: { label: 'Overcast Sky' },
+    sunset: { label: 'Sunset' },
+    custom: { label: 'Custom HDRI' }
+};
+
+/**
+ * Environment file extensions loadEnvironmentFile accepts
+ */
+export const ENVIRONMENT_FILE_EXTENSIONS = ['.hdr', '.exr'];
+
+// Size of the procedural panoramas (equirectangular, 2:1)
+const PANORAMA_WIDTH = 512;
+const PANORAMA_HEIGHT = 256;
+
+/**
+ * Direction of a panorama pixel in three's equirectangular layout (row 0 at the bottom)
+ * @param {number} x
+ * @param {number} y
+ * @returns {{dx: number, dy: number, dz: number, elevation: number}}
+ */
+function panoramaDirection(x, y) {
+    const longitude = ((x + 0.5) / PANORAMA_WIDTH - 0.5) * 2 * Math.PI;
+    const elevation = ((y + 0.5) / PANORAMA_HEIGHT - 0.5) * Math.PI;
+    const horizontal = Math.cos(elevation);
+    return {
+        dx: horizontal * Math.cos(longitude),
+        dy: Math.sin(elevation),
+        dz: horizontal * Math.sin(longitude),
+        elevation
+    };
+}
+
+/**
+ * Unit vector for an azimuth/elevation pair in degrees, Y up
+ * @param {number} azimuth
+ * @param {number} elevation
+ * @returns {THREE.Vector3}
+ */
+function worldDirection(azimuth, elevation) {
+    const az = THREE.MathUtils.degToRad(azimuth);
+    const el = THREE.MathUtils.degToRad(elevation);
+    return new THREE.Vector3(Math.cos(el) * Math.cos(az), Math.sin(el), Math.cos(el) * Math.sin(az));
+}
+
+/**
+ * Radiance of a soft-edged disc light around a direction
+ * @param {{dx: number, dy: number, dz: number}} dir - Pixel direction
+ * @param {THREE.Vector3} center - Light direction
+ * @param {number} radius - Angular radius in degrees
+ * @returns {number} 1 inside the disc, fading to 0 over a tenth of its radius
+ */
+function discFalloff(dir, center, radius) {
+    const cosAngle = dir.dx * center.x + dir.dy * center.y + dir.dz * center.z;
+    const angle = THREE.MathUtils.radToDeg(Math.acos(Math.min(1, Math.max(-1, cosAngle))));
+    const edge = radius * 0.1;
+    return Math.min(1, Math.max(0, (radius - angle) / edge + 0.5));
+}
+
+/**
+ * Radiance functions of the procedural panoramas, in linear RGB
+ */
+const PANORAMAS = {
+    // Dark studio lit by a large key panel, a smaller fill and an overhead strip
+    softbox: (() => {
+        const key = worldDirection(-40, 25);
+        const fill = worldDirection(130, 15);
+        const top = worldDirection(0, 80);
+        return dir => {
+            const floor = dir.dy < 0 ? 0.03 : 0.06 + 0.04 * dir.dy;
+            const light = 12 * discFalloff(dir, key, 18)
+                + 4 * discFalloff(dir, fill, 12)
+                + 6 * discFalloff(dir, top, 10);
+            return [floor + light, floor + light, floor + light * 0.97];
+        };
+    })(),
+    // Even sky, brighter at the zenith, over grey ground
+    overcast: dir => {
+        if (dir.dy < 0) return [0.25, 0.24, 0.22];
+        const t = Math.sqrt(dir.dy);
+        return [0.8 + 0.7 * t, 0.85 + 0.7 * t, 0.9 + 0.75 * t];
+    },
+    // Warm horizon glow and a low sun under a blue sky
+    sunset: (() => {
+        const sun = worldDirection(-60, 4);
+        return dir => {
+            if (dir.dy < 0) return [0.12, 0.08, 0.06];
+            const horizon = Math.exp(-dir.dy * 6);
+            const sunDisc = 400 * discFalloff(dir, sun, 1.5);
+            const glow = 3 * Math.pow(Math.max(0, dir.dx * sun.x + dir.dy * sun.y + dir.dz * sun.z), 32);
+            return [
+                0.15 + 1.6 * horizon + glow + sunDisc,
+                0.2 + 0.7 * horizon + glow * 0.55 + sunDisc * 0.85,
+                0.45 + 0.2 * horizon + glow * 0.2 + sunDisc * 0.6
+            ];
+        };
+    })()
+};
+
+/**
+ * Render a procedural panorama into a float equirectangular texture
+ * @param {string} id - Key of PANORAMAS
+ * @returns {THREE.DataTexture}
+ */
+function createPanoramaTexture(id) {
+    const radiance = PANORAMAS[id];
+    const data = new Float32Array(PANORAMA_WIDTH * PANORAMA_HEIGHT * 4);
+    for (let y = 0; y < PANORAMA_HEIGHT; y++) {
+        for (let x = 0; x < PANORAMA_WIDTH; x++) {
+            const [r, g, b] = radiance(panoramaDirection(x, y));
+            const idx = (y * PANORAMA_WIDTH + x) * 4;
+            data[idx] = r;
+            data[idx + 1] = g;
+            data[idx + 2] = b;
+            data[idx + 3] = 1;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, PANORAMA_WIDTH, PANORAMA_HEIGHT, THREE.RGBAFormat, THREE.FloatType);
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+    texture.colorSpace = THREE.LinearSRGBColorSpace;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Prefilter a built-in environment
+ * @param {THREE.PMREMGenerator} pmrem
+ * @param {string} id - Key of ENVIRONMENT_PRESETS other than 'none' and 'custom'
+ * @returns {THREE.WebGLRenderTarget} PMREM target; its texture goes into scene.environment
+ */
+export function createEnvironment(pmrem, id) {
+    if (id === 'room') {
+        const room = new RoomEnvironment();
+        const target = pmrem.fromScene(room, 0.04);
+        room.dispose();
+        return target;
+    }
+    if (!PANORAMAS[id]) {
+        throw new Error(`[Lighting] Unknown environment: ${id}`);
+    }
+
+    const panorama = createPanoramaTexture(id);
+    const target = pmrem.fromEquirectangular(panorama);
+    panorama.dispose();
+    return target;
+}
+
+/**
+ * Load and prefilter a local equirectangular .hdr or .exr panorama
+ * @param {THREE.PMREMGenerator} pmrem
+ * @param {File} file
+ * @returns {Promise<THREE.WebGLRenderTarget>}
+ */
+export async function loadEnvironmentFile(pmrem, file) {
+    const name = file.name.toLowerCase();
+    let loader;
+    if (name.endsWith('.hdr')) {
+        loader = new RGBELoader();
+    } else if (name.endsWith('.exr')) {
+        loader = new EXRLoader();
+    } else {
+        throw new Error(`[Lighting] Unsupported environment file: ${file.name}`);
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+        const panorama = await loader.loadAsync(url);
+        panorama.mapping = THREE.EquirectangularReflectionMapping;
+        const target = pmrem.fromEquirectangular(panorama);
+        panorama.dispose();
+        return target;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Position of a rig light: azimuth around the surface normal of the
+ * (unrotated) preview plane, elevation above its surface, so low elevations
+ * rake across the bump detail
+ * @param {number} azimuth - Degrees, 0 = +X (right), 90 = +Y (up)
+ * @param {number} elevation - Degrees, 0 = grazing, 90 = straight on
+ * @param {number} distance
+ * @returns {THREE.Vector3}
+ */
+export function lightPosition(azimuth, elevation, distance) {
+    const az = THREE.MathUtils.degToRad(azimuth);
+    const el = THREE.MathUtils.degToRad(elevation);
+    return new THREE.Vector3(
+        Math.cos(el) * Math.cos(az),
+        Math.cos(el) * Math.sin(az),
+        Math.sin(el)
+    ).multiplyScalar(distance);
+}
+
+/**
+ * Scene lights built from the `lighting` state section
+ */
+export class LightRig {
+    /**
+     * @param {THREE.Object3D} parent - Object the lights are added to (the scene)
+     * @param {number} distance - Distance of the lights from the origin
+     */
+    constructor(parent, distance) {
+        this.parent = parent;
+        this.distance = distance;
+        this.ambient = new THREE.AmbientLight(0xffffff, 0);
+        this.parent.add(this.ambient);
+        this.lights = [];
+    }
+
+    /**
+     * Match the scene lights to the state
+     * @param {Object} lighting - The `lighting` state section
+     */
+    update(lighting) {
+        this.ambient.color.set(lighting.ambientColor);
+        this.ambient.intensity = lighting.ambientIntensity;
+
+        const specs = lighting.lights || [];
+        while (this.lights.length > specs.length) {
+            this._removeLight(this.lights.pop());
+        }
+
+        specs.forEach((spec, index) => {
+            let light = this.lights[index];
+            if (!light || light.userData.type !== spec.type) {
+                if (light) this._removeLight(light);
+                light = this._createLight(spec.type);
+                this.lights[index] = light;
+            }
+            light.color.set(spec.color);
+            light.intensity = spec.intensity;
+            light.position.copy(lightPosition(spec.azimuth, spec.elevation, this.distance));
+        });
+    }
+
+    /**
+     * @private
+     * @param {string} type - 'directional' or 'point'
+     * @returns {THREE.Light}
+     */
+    _createLight(type) {
+        let light;
+        if (type === 'directional') {
+            light = new THREE.DirectionalLight();
+        } else if (type === 'point') {
+            light = new THREE.PointLight();
+        } else {
+            throw new Error(`[Lighting] Unknown light type: ${type}`);
+        }
+        light.userData.type = type;
+        this.parent.add(light);
+        return light;
+    }
+
+    /**
+     * @private
+     * @param {THREE.Light} light
+     */
+    _removeLight(light) {
+        this.parent.remove(light);
+        light.dispose();
+    }
+
+    /**
+     * Remove every light from the parent
+     */
+    dispose() {
+        this.lights.forEach(light => this._removeLight(light));
+        this.lights = [];
+        this._removeLight(this.ambient);
+    }
+}
+
+/**
+ * Default settings of a newly added light
+ */
+export const NEW_LIGHT_DEFAULTS = {
+    directional: { type: 'directional', color: 0xffffff, intensity: 1.0, azimuth: 135, elevation: 30 },
+    point: { type: 'point', color: 0xffffff, intensity: 10.0, azimuth: -45, elevation: 45 }
+};
@@ -0,0 +1,273 @@
+// Map Pipeline
+// Dependency-aware bookkeeping for the map stages. The graph is
+// source → bump → normal and bump → ao, with source → albedo, source → emission,
+// source → roughness and source → metalness beside it.
+// Every stage's output is cached under a hash of its options and of everything
+// upstream of it, so only stale stages need to be recomputed. Options that shape
+// the source for every stage (tiling) are hashed into the source's key.
+
+/**
+ * Stage graph, listed in dependency order
+ * - input: the buffer the stage reads ('source' or another stage)
+ * - section: the StateManager section holding the stage's options
+ * - ignoredKeys: options that only affect the material, not the pixels
+ */
+export const PIPELINE_STAGES = {
+    bump: {
+        input: 'source',
+        section: 'bumpOptions',
+        ignoredKeys: ['bumpScale']
+    },
+    normal: {
+        input: 'bump',
+        section: 'normalOptions',
+        ignoredKeys: ['normalScale']
+    },
+    ao: {
+        input: 'bump',
+        section: 'aoOptions',
+        ignoredKeys: ['intensity']
+    },
+    albedo: {
+        input: 'source',
+        section: 'albedoOptions',
+        ignoredKeys: []
+    },
+    emission: {
+        input: 'source',
+        section: 'emissionOptions',
+        ignoredKeys: ['intensity']
+    },
+    roughness: {
+        input: 'source',
+        section: 'roughnessOptions',
+        ignoredKeys: []
+    },
+    metalness: {
+        input: 'source',
+        section: 'metalnessOptions',
+        ignoredKeys: []
+    }
+};
+
+/**
+ * Options that apply to the source image and therefore to every stage
+ * - section: the StateManager section holding them
+ * - ignoredKeys: options that only affect the viewer, not the pixels
+ */
+export const SOURCE_OPTIONS = {
+    section: 'tilingOptions',
+    ignoredKeys: []
+};
+
+/**
+ * Serialize a value with sorted object keys so equal options hash equally
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, as hex
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Cache and planner for the map stages
+ */
+export class MapPipeline {
+    /**
+     * @param {Object} [stages=PIPELINE_STAGES] - Stage graph in dependency order
+     * @param {Object} [sourceOptions=SOURCE_OPTIONS] - Options every stage depends on
+     */
+    constructor(stages = PIPELINE_STAGES, sourceOptions = SOURCE_OPTIONS) {
+        this.stages = stages;
+        this.sourceOptions = sourceOptions;
+
+        // stage → { key, imageData, heightField }
+        this.cache = new Map();
+    }
+
+    /**
+     * Compute the cache key of a stage for the given state
+     * @param {string} stage - Stage name
+     * @param {Object} state - Full StateManager state
+     * @param {string} sourceKey - Identifies the decoded source image
+     * @returns {string} Hash of the stage's options and its upstream keys
+     */
+    getStageKey(stage, state, sourceKey) {
+        const definition = this.stages[stage];
+        if (!definition) {
+            throw new Error(`[MapPipeline] Unknown stage: ${stage}`);
+        }
+
+        const options = { ...state[definition.section] };
+        definition.ignoredKeys.forEach(key => delete options[key]);
+
+        const upstreamKey = definition.input === 'source'
+            ? this.getSourceKey(state, sourceKey)
+            : this.getStageKey(definition.input, state, sourceKey);
+
+        return hashString(`${stage}|${upstreamKey}|${stableStringify(options)}`);
+    }
+
+    /**
+     * Key of the source image together with the options applied to it
+     * @param {Object} state - Full StateManager state
+     * @param {string} sourceKey - Identifies the decoded source image
+     * @returns {string}
+     */
+    getSourceKey(state, sourceKey) {
+        const options = { ...state[this.sourceOptions.section] };
+        this.sourceOptions.ignoredKeys.forEach(key => delete options[key]);
+        return `${sourceKey}|${stableStringify(options)}`;
+    }
+
+    /**
+     * Work out which stages must run to bring the requested ones up to date
+     * @param {string[]} requested - Stages whose output is wanted
+     * @param {Object} state - Full StateManager state
+     * @param {string} sourceKey - Identifies the decoded source image
+     * @returns {{stages: string[], keys: Object<string, string>, inputs: Object<string, ImageData>,
+     *   heightFields: Object<string, Object>, needsSource: boolean}}
+     *   Stages to run in dependency order, their keys, cached upstream outputs they read
+     *   (with their height fields), and whether any of them reads the source image
+     */
+    plan(requested, state, sourceKey) {
+        const keys = {};
+        const needed = new Set();
+
+        const require = (stage) => {
+            keys[stage] = this.getStageKey(stage, state, sourceKey);
+            if (this.isFresh(stage, keys[stage])) return;
+
+            needed.add(stage);
+            const input = this.stages[stage].input;
+            if (input !== 'source') {
+                require(input);
+            }
+        };
+        requested.forEach(require);
+
+        // Keep dependency order and hand over cached outputs of fresh upstream stages
+        const stages = Object.keys(this.stages).filter(stage => needed.has(stage));
+        const inputs = {};
+        const heightFields = {};
+        let needsSource = false;
+        stages.forEach(stage => {
+            const input = this.stages[stage].input;
+            if (input === 'source') {
+                needsSource = true;
+            } else if (!needed.has(input)) {
+                inputs[input] = this.get(input);
+                const heightField = this.getHeightField(input);
+                if (heightField) heightFields[input] = heightField;
+            }
+        });
+
+        return { stages, keys, inputs, heightFields, needsSource };
+    }
+
+    /**
+     * Check whether a stage's cached output matches a key
+     * @param {string} stage
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isFresh(stage, key) {
+        const entry = this.cache.get(stage);
+        return !!entry && entry.key === key;
+    }
+
+    /**
+     * Store a stage's output
+     * @param {string} stage
+     * @param {string} key - Key the output was computed for
+     * @param {ImageData} imageData - Stage output
+     * @param {Object} [heightField] - Unquantised heights, for stages that produce them
+     */
+    store(stage, key, imageData, heightField = null) {
+        this.cache.set(stage, { key, imageData, heightField });
+    }
+
+    /**
+     * Get a stage's cached output
+     * @param {string} stage
+     * @returns {ImageData|null}
+     */
+    get(stage) {
+        const entry = this.cache.get(stage);
+        return entry ? entry.imageData : null;
+    }
+
+    /**
+     * Get a stage's cached height field
+     * @param {string} stage
+     * @returns {{data: Float32Array, width: number, height: number}|null}
+     */
+    getHeightField(stage) {
+        const entry = this.cache.get(stage);
+        return entry ? entry.heightField : null;
+    }
+
+    /**
+     * Drop a stage and everything downstream of it
+     * @param {string} stage
+     */
+    invalidate(stage) {
+        this.cache.delete(stage);
+        Object.keys(this.stages).forEach(other => {
+            if (this.stages[other].input === stage) {
+                this.invalidate(other);
+            }
+        });
+    }
+
+    /**
+     * Drop the stages affected by a StateManager change
+     * @param {Object} change - Change event ({ section, key } or { reset: true })
+     */
+    invalidateForChange(change) {
+        if (change.reset || (change.section === 'resources' && change.key === 'imageUrl')) {
+            this.clear();
+            return;
+        }
+
+        if (change.section === this.sourceOptions.section && !this.sourceOptions.ignoredKeys.includes(change.key)) {
+            this.clear();
+            return;
+        }
+
+        Object.keys(this.stages).forEach(stage => {
+            const definition = this.stages[stage];
+            if (definition.section === change.section && !definition.ignoredKeys.includes(change.key)) {
+                this.invalidate(stage);
+            }
+        });
+    }
+
+    /**
+     * Drop every cached output
+     */
+    clear() {
+        this.cache.clear();
+    }
+}
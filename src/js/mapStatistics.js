@@ -0,0 +1,77 @@
+// Map Statistics
+// Histogram and summary values of one channel of a map, used to place
+// thresholds: how much of the bump map the threshold leaves at neutral grey,
+// how much of a map is clipped to black or white.
+
+/**
+ * Channel read for each map type: a colour channel index, or 'luminance'
+ */
+export const STATISTICS_CHANNELS = {
+    bump: 0,
+    normal: 2,          // Z: how far the surface tilts away from flat
+    ao: 0,
+    albedo: 'luminance',
+    emission: 0,
+    roughness: 0,
+    metalness: 0,
+    source: 'luminance'
+};
+
+// Neutral height of the bump map
+const NEUTRAL_VALUE = 128;
+
+/**
+ * 8-bit value of a pixel for a channel
+ * @param {Uint8ClampedArray} data
+ * @param {number} index - Offset of the pixel's red byte
+ * @param {number|string} channel - 0..3 or 'luminance'
+ * @returns {number}
+ */
+function channelValue(data, index, channel) {
+    if (channel === 'luminance') {
+        // Same Rec. 709 weights as the emission mapper
+        return Math.round(0.2126 * data[index] + 0.7152 * data[index + 1] + 0.0722 * data[index + 2]);
+    }
+    return data[index + channel];
+}
+
+/**
+ * Compute the histogram and statistics of one channel
+ * @param {ImageData} imageData
+ * @param {number|string} [channel=0] - 0..3 or 'luminance'
+ * @returns {{histogram: Uint32Array, count: number, min: number, max: number, mean: number,
+ *   clippedLow: number, clippedHigh: number, neutral: number}}
+ *   Histogram of 256 bins; min, max and mean in 0..255; clippedLow, clippedHigh
+ *   and neutral as fractions of the pixels at 0, 255 and 128
+ */
+export function computeMapStatistics(imageData, channel = 0) {
+    if (!imageData || !imageData.data) {
+        throw new Error('[MapStatistics] Invalid image data');
+    }
+
+    const data = imageData.data;
+    const histogram = new Uint32Array(256);
+    let sum = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        const value = channelValue(data, i, channel);
+        histogram[value]++;
+        sum += value;
+    }
+
+    const count = data.length / 4;
+    let min = 0;
+    while (min < 255 && histogram[min] === 0) min++;
+    let max = 255;
+    while (max > 0 && histogram[max] === 0) max--;
+
+    return {
+        histogram,
+        count,
+        min,
+        max,
+        mean: count ? sum / count : 0,
+        clippedLow: count ? histogram[0] / count : 0,
+        clippedHigh: count ? histogram[255] / count : 0,
+        neutral: count ? histogram[NEUTRAL_VALUE] / count : 0
+    };
+}
@@ -0,0 +1,161 @@
+// Map Generation Worker
+// Runs the pure ImageData mappers off the main thread. The main thread posts the
+// decoded source pixels (plus cached outputs of fresh upstream stages) and the
+// list of stages to run; every stage reports its progress and posts its finished
+// pixel buffer back as a transferable, along with the float height field of
+// the bump stage and the float vectors of the normal stage, so downstream
+// stages and exports keep full precision. Cancellation is handled by
+// MapWorkerClient, which terminates the whole worker.
+// Tiling options apply to the whole job: the optional seam removal rewrites the
+// source before any stage reads it, and every mapper is told to wrap its edges.
+
+import { DoGBumpMapper } from './DoGBumpMapper.js';
+import { BumpToNormalMapper } from './BumpToNormalMapper.js';
+import { AmbientOcclusionMapper } from './AmbientOcclusionMapper.js';
+import { AlbedoMapper } from './albedoMapper.js';
+import { EmissionMapper } from './emissionMapper.js';
+import { RoughnessMapper } from './roughnessMapper.js';
+import { MetalnessMapper } from './metalnessMapper.js';
+import { PIPELINE_STAGES } from './mapPipeline.js';
+import { makeSeamless } from './seamlessTiling.js';
+
+/**
+ * How each stage is computed; which buffer it reads comes from PIPELINE_STAGES.
+ * Runners get the input's height field (if it has one) and return ImageData,
+ * or { imageData, heightField, vectors } when they produce float data themselves.
+ */
+const STAGE_RUNNERS = {
+    bump: (input, options) => {
+        const mapper = new DoGBumpMapper(options);
+        const imageData = mapper.generateBumpMap(input);
+        return { imageData, heightField: mapper.heightField };
+    },
+    normal: (input, options, reportProgress, heightField) => {
+        const mapper = new BumpToNormalMapper({ ...options, debug: false });
+        mapper.setProgressCallback(reportProgress);
+        const imageData = mapper.generateNormalMap(input, heightField);
+        return { imageData, vectors: mapper.processingData.vectors };
+    },
+    ao: (input, options, reportProgress, heightField) => {
+        const mapper = new AmbientOcclusionMapper(options);
+        mapper.setProgressCallback(reportProgress);
+        return mapper.generateAOMap(input, heightField);
+    },
+    albedo: (input, options) => new AlbedoMapper(options).generateAlbedoMap(input),
+    emission: (input, options) => new EmissionMapper(options).generateEmissionMap(input),
+    roughness: (input, options) => new RoughnessMapper(options).generateRoughnessMap(input),
+    metalness: (input, options) => new MetalnessMapper(options).generateMetalnessMap(input)
+};
+
+/**
+ * Rebuild ImageData from a posted { buffer, width, height } payload
+ * @param {Object} payload
+ * @returns {ImageData}
+ */
+function toImageData(payload) {
+    return new ImageData(new Uint8ClampedArray(payload.buffer), payload.width, payload.height);
+}
+
+/**
+ * Rebuild a height field from a posted payload, if it carries one
+ * @param {Object} payload
+ * @returns {{data: Float32Array, width: number, height: number}|null}
+ */
+function toHeightField(payload) {
+    if (!payload.heightBuffer) return null;
+    return { data: new Float32Array(payload.heightBuffer), width: payload.width, height: payload.height };
+}
+
+/**
+ * Run every requested stage in order, posting progress and results
+ * @param {Object} job - Job message from the main thread
+ */
+function runJob(job) {
+    const { jobId, stages, options } = job;
+    const tiling = job.tiling || {};
+
+    // Seed with the source and any cached upstream outputs sent along
+    const outputs = {};
+    const heightFields = {};
+    if (job.source) {
+        outputs.source = toImageData(job.source);
+        if (tiling.seamRemoval) {
+            outputs.source = makeSeamless(outputs.source, tiling.seamWidth);
+        }
+    }
+    Object.entries(job.inputs || {}).forEach(([stage, payload]) => {
+        outputs[stage] = toImageData(payload);
+        heightFields[stage] = toHeightField(payload);
+    });
+
+    stages.forEach((stage, index) => {
+        const run = STAGE_RUNNERS[stage];
+        const definition = PIPELINE_STAGES[stage];
+        if (!run || !definition) {
+            throw new Error(`Unknown stage: ${stage}`);
+        }
+
+        const input = outputs[definition.input];
+        if (!input) {
+            throw new Error(`Stage "${stage}" needs "${definition.input}", which was not provided`);
+        }
+
+        const reportProgress = (percent) => {
+            self.postMessage({ type: 'progress', jobId, stage, percent });
+        };
+
+        reportProgress(0);
+        const start = performance.now();
+        const stageOptions = { ...options[stage], tileable: !!tiling.tileable };
+        const output = run(input, stageOptions, reportProgress, heightFields[definition.input] || null);
+        const elapsed = performance.now() - start;
+        const result = output instanceof ImageData ? output : output.imageData;
+        const heightField = output instanceof ImageData ? null : output.heightField || null;
+        const vectors = output instanceof ImageData ? null : output.vectors || null;
+        outputs[stage] = result;
+        heightFields[stage] = heightField;
+        reportProgress(100);
+
+        // Transfer the buffers unless a later stage still reads them
+        const neededLater = stages.slice(index + 1).some(next => PIPELINE_STAGES[next]?.input === stage);
+        const buffer = neededLater ? result.data.slice().buffer : result.data.buffer;
+        const transfer = [buffer];
+        let heightBuffer = null;
+        if (heightField) {
+            heightBuffer = neededLater ? heightField.data.slice().buffer : heightField.data.buffer;
+            transfer.push(heightBuffer);
+        }
+        // Nothing downstream reads the vectors
+        const vectorBuffer = vectors ? vectors.data.buffer : null;
+        if (vectorBuffer) transfer.push(vectorBuffer);
+
+        self.postMessage({
+            type: 'result',
+            jobId,
+            stage,
+            width: result.width,
+            height: result.height,
+            buffer,
+            heightBuffer,
+            vectorBuffer,
+            elapsed
+        }, transfer);
+    });
+
+    self.postMessage({ type: 'done', jobId });
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type !== 'run') return;
+
+    try {
+        runJob(message);
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            jobId: message.jobId,
+            message: error.message || String(error)
+        });
+    }
+};
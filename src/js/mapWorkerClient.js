@@ -0,0 +1,210 @@
+// Map Generation Worker Client
+// Main-thread side of mapWorker.js: sends source pixels to the worker, forwards
+// per-stage progress and collects the finished pixel buffers (and float height
+// fields and normal vectors).
+// Cancellation happens here and only here: aborting a job's signal (or starting
+// a new job) terminates the worker, which stops the mappers mid-loop. The
+// mappers themselves take no AbortSignal, since one cannot be posted to a worker.
+
+/**
+ * Client for running map generation stages in a Web Worker
+ */
+export class MapWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.jobCounter = 0;
+
+        // The single job currently running in the worker
+        this._activeJob = null;
+    }
+
+    /**
+     * Run map generation stages in the worker
+     * @param {Object} job
+     * @param {ImageData} [job.source] - Decoded source image, needed when a stage reads it
+     * @param {string[]} job.stages - Stages to run, in dependency order
+     * @param {Object} job.options - Options per stage, keyed by stage name
+     * @param {Object} [job.tiling] - Tiling options applied to every stage ({ tileable, seamRemoval, seamWidth })
+     * @param {Object<string, ImageData>} [job.inputs] - Cached outputs of upstream stages that are not rerun
+     * @param {Object<string, Object>} [job.heightFields] - Height fields of those cached outputs, where they have one
+     * @param {AbortSignal} [job.signal] - Cancels the job when aborted
+     * @param {Object} [callbacks]
+     * @param {Function} [callbacks.onProgress] - Function(stage, percent)
+     * @param {Function} [callbacks.onResult] - Function(stage, imageData, elapsedMs, heightField, vectors)
+     * @returns {Promise<Object<string, ImageData>>} Resolves to the results keyed by stage
+     */
+    run(job, callbacks = {}) {
+        const { source, stages, options, tiling = {}, inputs = {}, heightFields = {}, signal } = job;
+        if (source && (!source.data || !source.width || !source.height)) {
+            return Promise.reject(new Error('[MapWorker] Invalid source image data'));
+        }
+        if (signal?.aborted) {
+            return Promise.reject(MapWorkerClient._abortError());
+        }
+
+        // Only one job runs at a time; a new one replaces the old
+        if (this._activeJob) {
+            this.cancel();
+        }
+
+        this._ensureWorker();
+        const jobId = ++this.jobCounter;
+
+        return new Promise((resolve, reject) => {
+            this._activeJob = { jobId, results: {}, callbacks, resolve, reject };
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (this._activeJob?.jobId === jobId) this.cancel();
+                }, { once: true });
+            }
+
+            // Copy the pixels so the caller's (cached) buffers stay usable, then transfer the copies
+            const transfer = [];
+            const toPayload = (imageData, heightField = null) => {
+                const buffer = imageData.data.slice().buffer;
+                transfer.push(buffer);
+                let heightBuffer = null;
+                if (heightField) {
+                    heightBuffer = heightField.data.slice().buffer;
+                    transfer.push(heightBuffer);
+                }
+                return { buffer, heightBuffer, width: imageData.width, height: imageData.height };
+            };
+
+            const inputPayloads = {};
+            Object.entries(inputs).forEach(([stage, imageData]) => {
+                inputPayloads[stage] = toPayload(imageData, heightFields[stage]);
+            });
+
+            this.worker.postMessage({
+                type: 'run',
+                jobId,
+                source: source ? toPayload(source) : null,
+                inputs: inputPayloads,
+                stages,
+                options,
+                tiling
+            }, transfer);
+        });
+    }
+
+    /**
+     * Cancel the running job, if any. The worker is terminated so that any
+     * long loop stops immediately; a fresh worker is created for the next job.
+     */
+    cancel() {
+        const job = this._activeJob;
+        if (!job) return;
+
+        this._activeJob = null;
+        this._terminateWorker();
+        job.reject(MapWorkerClient._abortError());
+    }
+
+    /**
+     * Terminate the worker and reject any running job
+     */
+    dispose() {
+        this.cancel();
+        this._terminateWorker();
+    }
+
+    /**
+     * Error used to reject cancelled jobs
+     * @private
+     * @returns {Error}
+     */
+    static _abortError() {
+        const error = new Error('[MapWorker] Job cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Lazily create the worker
+     * @private
+     */
+    _ensureWorker() {
+        if (this.worker) return;
+
+        this.worker = new Worker(new URL('./mapWorker.js', import.meta.url));
+        this.worker.onmessage = (event) => this._handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.error('[MapWorker] Worker error:', event);
+            this._failActiveJob(new Error(`[MapWorker] ${event.message || 'Worker failed'}`));
+            this._terminateWorker();
+        };
+    }
+
+    /**
+     * @private
+     */
+    _terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * @private
+     * @param {Error} error
+     */
+    _failActiveJob(error) {
+        const job = this._activeJob;
+        if (!job) return;
+        this._activeJob = null;
+        job.reject(error);
+    }
+
+    /**
+     * Dispatch messages from the worker to the active job
+     * @private
+     * @param {Object} message
+     */
+    _handleMessage(message) {
+        const job = this._activeJob;
+        // Ignore stragglers from jobs that were replaced
+        if (!job || message.jobId !== job.jobId) return;
+
+        switch (message.type) {
+            case 'progress':
+                if (typeof job.callbacks.onProgress === 'function') {
+                    job.callbacks.onProgress(message.stage, message.percent);
+                }
+                break;
+
+            case 'result': {
+                const imageData = new ImageData(
+                    new Uint8ClampedArray(message.buffer),
+                    message.width,
+                    message.height
+                );
+                const heightField = message.heightBuffer
+                    ? { data: new Float32Array(message.heightBuffer), width: message.width, height: message.height }
+                    : null;
+                const vectors = message.vectorBuffer
+                    ? { data: new Float32Array(message.vectorBuffer), width: message.width, height: message.height }
+                    : null;
+                job.results[message.stage] = imageData;
+                if (typeof job.callbacks.onResult === 'function') {
+                    job.callbacks.onResult(message.stage, imageData, message.elapsed, heightField, vectors);
+                }
+                break;
+            }
+
+            case 'done':
+                this._activeJob = null;
+                job.resolve(job.results);
+                break;
+
+            case 'error':
+                this._failActiveJob(new Error(`[MapWorker] ${message.message}`));
+                break;
+
+            default:
+                console.warn(`[MapWorker] Unknown message type: ${message.type}`);
+        }
+    }
+}
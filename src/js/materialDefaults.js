@@ -0,0 +1,7 @@
+// Material Defaults
+// Uniform values the viewer uses for the material properties that have no map.
+// Exports fall back to the same values, so a packed file matches the preview.
+
+// Uniform roughness and metalness used when no map is applied
+export const DEFAULT_ROUGHNESS = 0.8;
+export const DEFAULT_METALNESS = 0.1;
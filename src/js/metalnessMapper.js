@@ -0,0 +1,263 @@
+// Metalness Mapping System
+// This implementation builds a metalness mask from an image by keying on a picked
+// color, a hue range or a luminance threshold, with a tolerance and a soft feather
+
+import * as THREE from 'three';
+
+/**
+ * Class for generating a metalness mask from color keys
+ */
+export class MetalnessMapper {
+    /**
+     * @param {Object} options
+     * @param {string} [options.mode='color']  - Key type: 'color', 'hue' or 'luminance'
+     * @param {number} [options.color=0xd4af37] - Key color (hex) for color mode
+     * @param {number} [options.hueMin=35]     - Start of the hue range in degrees (hue mode)
+     * @param {number} [options.hueMax=60]     - End of the hue range in degrees; may wrap past 360
+     * @param {number} [options.threshold=0.7] - Luminance threshold (luminance mode)
+     * @param {number} [options.tolerance=0.15] - Distance from the key that still counts as fully metal
+     * @param {number} [options.feather=0.1]   - Width of the soft falloff beyond the tolerance
+     * @param {boolean} [options.invert=false] - Invert the final mask
+     */
+    constructor(options = {}) {
+        this.mode      = options.mode      !== undefined ? options.mode : 'color';
+        this.color     = options.color     !== undefined ? options.color : 0xd4af37;
+        this.hueMin    = options.hueMin    !== undefined ? options.hueMin : 35;
+        this.hueMax    = options.hueMax    !== undefined ? options.hueMax : 60;
+        this.threshold = options.threshold !== undefined ? options.threshold : 0.7;
+        this.tolerance = Math.max(0, options.tolerance !== undefined ? options.tolerance : 0.15);
+        this.feather   = Math.max(0, options.feather !== undefined ? options.feather : 0.1);
+        this.invert    = options.invert || false;
+    }
+
+    /**
+     * Main processing function
+     * @param {ImageData} imageData - Input image data
+     * @returns {ImageData} Generated metalness mask as ImageData
+     */
+    generateMetalnessMap(imageData) {
+        if (!imageData || !imageData.width || !imageData.height) {
+            throw new Error('Invalid image data provided to MetalnessMapper');
+        }
+
+        const input = imageData.data;
+        const output = new ImageData(imageData.width, imageData.height);
+        const outBuf = output.data;
+
+        // Key color components, normalized
+        const keyR = ((this.color >> 16) & 0xff) / 255;
+        const keyG = ((this.color >> 8) & 0xff) / 255;
+        const keyB = (this.color & 0xff) / 255;
+
+        for (let i = 0; i < input.length; i += 4) {
+            const r = input[i] / 255;
+            const g = input[i + 1] / 255;
+            const b = input[i + 2] / 255;
+
+            let mask;
+            switch (this.mode) {
+                case 'hue':
+                    mask = this._falloff(this._hueDistance(r, g, b));
+                    break;
+                case 'luminance': {
+                    // Brighter than the threshold is metal; the feather softens the edge
+                    const lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+                    mask = this._falloff(Math.max(0, this.threshold - lum));
+                    break;
+                }
+                case 'color':
+                default: {
+                    // Euclidean RGB distance, scaled so black to white is 1
+                    const dr = r - keyR, dg = g - keyG, db = b - keyB;
+                    mask = this._falloff(Math.sqrt(dr * dr + dg * dg + db * db) / Math.sqrt(3));
+                    break;
+                }
+            }
+
+            if (this.invert) mask = 1 - mask;
+
+            const val = Math.round(mask * 255);
+            outBuf[i]     = val;
+            outBuf[i + 1] = val;
+            outBuf[i + 2] = val;
+            outBuf[i + 3] = 255;
+        }
+
+        return output;
+    }
+
+    /**
+     * Map a key distance to mask strength: 1 within the tolerance, then a
+     * smoothstep down to 0 across the feather
+     * @param {number} distance
+     * @returns {number} Mask value in 0..1
+     * @private
+     */
+    _falloff(distance) {
+        if (distance <= this.tolerance) return 1;
+        if (this.feather <= 0) return 0;
+
+        const t = Math.min(1, (distance - this.tolerance) / this.feather);
+        return 1 - t * t * (3 - 2 * t);
+    }
+
+    /**
+     * Distance of a pixel's hue from the hue range, as a fraction of a half turn
+     * (0 inside the range, 1 at the opposite side of the color wheel)
+     * @param {number} r
+     * @param {number} g
+     * @param {number} b
+     * @returns {number}
+     * @private
+     */
+    _hueDistance(r, g, b) {
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const delta = max - min;
+        const saturation = max > 0 ? delta / max : 0;
+        if (saturation < MetalnessMapper.MIN_HUE_SATURATION) return 1;
+
+        let hue;
+        if (max === r) {
+            hue = 60 * (((g - b) / delta) % 6);
+        } else if (max === g) {
+            hue = 60 * ((b - r) / delta + 2);
+        } else {
+            hue = 60 * ((r - g) / delta + 4);
+        }
+        if (hue < 0) hue += 360;
+
+        // The range may wrap, e.g. 340..20 for reds
+        const start = ((this.hueMin % 360) + 360) % 360;
+        const span = ((this.hueMax - this.hueMin) % 360 + 360) % 360;
+        const offset = ((hue - start) % 360 + 360) % 360;
+        if (offset <= span) return 0;
+
+        const outside = Math.min(offset - span, 360 - offset);
+        return outside / 180;
+    }
+}
+
+// Pixels less saturated than this have no meaningful hue and never match in hue mode
+MetalnessMapper.MIN_HUE_SATURATION = 0.1;
+
+/**
+ * Three.js integration for Metalness Mapping
+ */
+export class ThreeJsMetalnessMapper {
+    /**
+     * @param {Object} options - Options for the MetalnessMapper and preview
+     */
+    constructor(options = {}) {
+        this.mapper = new MetalnessMapper(options);
+        this.options = {
+            showPreviews: options.showPreviews !== undefined ? options.showPreviews : true,
+            previewSize:  options.previewSize  || 128,
+            debugLogs:    options.debugLogs    || false
+        };
+        this._previewElements = [];
+    }
+
+    /**
+     * Create a THREE.Texture from already generated metalness pixels
+     * @param {ImageData} metalnessData
+     * @returns {THREE.Texture}
+     */
+    createMetalnessTextureFromData(metalnessData) {
+        this._cleanupPreviews();
+
+        const outCanvas = document.createElement('canvas');
+        outCanvas.width  = metalnessData.width;
+        outCanvas.height = metalnessData.height;
+        outCanvas.getContext('2d').putImageData(metalnessData, 0, 0);
+
+        if (this.options.showPreviews) {
+            this._createPreviews(outCanvas);
+        }
+
+        const texture = new THREE.Texture(outCanvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.needsUpdate = true;
+
+        return texture;
+    }
+
+    /**
+     * Display preview canvases
+     * @param {HTMLCanvasElement} canvas
+     * @private
+     */
+    _createPreviews(canvas) {
+        const size = this.options.previewSize;
+        const cvPrev = canvas.cloneNode(true);
+        cvPrev.getContext('2d').drawImage(canvas, 0, 0);
+        cvPrev.className = 'metalness-preview';
+        cvPrev.style.cssText = `
+            position: fixed;
+            top: ${30 + size * 2}px;
+            right: 10px;
+            width: ${size}px;
+            height: ${size}px;
+            border: 2px solid #fff;
+            z-index: 9999;
+        `;
+        document.body.appendChild(cvPrev);
+        this._previewElements.push(cvPrev);
+
+        if (this.options.debugLogs) {
+            console.log('[MetalnessMap] Preview appended');
+        }
+    }
+
+    /**
+     * Remove previews
+     * @private
+     */
+    _cleanupPreviews() {
+        this._previewElements.forEach(el => el.parentNode?.removeChild(el));
+        this._previewElements = [];
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this._cleanupPreviews();
+    }
+
+    /**
+     * Static helper to apply already generated metalness pixels to a mesh
+     * @param {THREE.Mesh} mesh
+     * @param {ImageData} metalnessData
+     * @param {Object} options
+     * @returns {THREE.Texture}
+     */
+    static applyDataToMesh(mesh, metalnessData, options = {}) {
+        if (!mesh) throw new Error('[MetalnessMap] Invalid mesh provided');
+        const mapper = new ThreeJsMetalnessMapper(options);
+        try {
+            const metalnessTex = mapper.createMetalnessTextureFromData(metalnessData);
+            ThreeJsMetalnessMapper._setMetalnessMap(mesh, metalnessTex);
+            return metalnessTex;
+        } finally {
+            mapper._cleanupPreviews();
+        }
+    }
+
+    /**
+     * Assign a metalness texture to a mesh's material. The scalar metalness is
+     * set to 1 because Three.js multiplies it with the map's blue channel.
+     * @param {THREE.Mesh} mesh
+     * @param {THREE.Texture} metalnessTex
+     * @private
+     */
+    static _setMetalnessMap(mesh, metalnessTex) {
+        if (mesh.material) {
+            if (mesh.material.metalnessMap) mesh.material.metalnessMap.dispose();
+            mesh.material.metalnessMap = metalnessTex;
+            mesh.material.metalness = 1.0;
+            mesh.material.needsUpdate = true;
+        }
+    }
+}
@@ -0,0 +1,203 @@
+// PNG Writer
+// Encodes a height field as a 16-bit grayscale PNG, and ImageData as an 8-bit
+// RGBA PNG. Canvas encoding is limited to 8 bits per channel, which bands smooth
+// slopes once the heights drive displacement, and it premultiplies alpha, which
+// destroys the colour channels of packed maps that store data in alpha. So the
+// files are assembled here instead: Sub-filtered scanlines, zlib-deflated with
+// the browser's CompressionStream.
+
+import { crc32 } from './zipWriter.js';
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Build one PNG chunk: length, type, data and the CRC over type and data
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk payload
+ * @returns {Uint8Array}
+ */
+function createChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * zlib-compress bytes (PNG's IDAT format is a zlib stream, i.e. 'deflate')
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflate(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('[PNGWriter] This browser cannot compress PNG data (CompressionStream is missing)');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Resample a height field by a resolution multiplier with bilinear filtering
+ * @param {{data: Float32Array, width: number, height: number}} field - Heights (0..1)
+ * @param {number} scale - Resolution multiplier
+ * @returns {{data: Float32Array, width: number, height: number}} Resampled field (the input itself at 1×)
+ */
+export function resampleHeightField(field, scale) {
+    if (!scale || scale === 1) return field;
+
+    const { data, width, height } = field;
+    const outWidth = Math.max(1, Math.round(width * scale));
+    const outHeight = Math.max(1, Math.round(height * scale));
+    const out = new Float32Array(outWidth * outHeight);
+
+    for (let y = 0; y < outHeight; y++) {
+        // Pixel centres map onto pixel centres
+        const sy = Math.min(height - 1, Math.max(0, (y + 0.5) * height / outHeight - 0.5));
+        const y0 = Math.floor(sy), y1 = Math.min(height - 1, y0 + 1), fy = sy - y0;
+        for (let x = 0; x < outWidth; x++) {
+            const sx = Math.min(width - 1, Math.max(0, (x + 0.5) * width / outWidth - 0.5));
+            const x0 = Math.floor(sx), x1 = Math.min(width - 1, x0 + 1), fx = sx - x0;
+
+            const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+            const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+            out[y * outWidth + x] = top * (1 - fy) + bottom * fy;
+        }
+    }
+
+    return { data: out, width: outWidth, height: outHeight };
+}
+
+/**
+ * Resample ImageData by a resolution multiplier with bilinear filtering. Every
+ * channel, alpha included, is filtered on its own, so no channel is weighted by
+ * another as a canvas would do.
+ * @param {ImageData} imageData
+ * @param {number} scale - Resolution multiplier
+ * @returns {ImageData} Resampled pixels (the input itself at 1×)
+ */
+export function resampleImageData(imageData, scale) {
+    if (!scale || scale === 1) return imageData;
+
+    const { data, width, height } = imageData;
+    const outWidth = Math.max(1, Math.round(width * scale));
+    const outHeight = Math.max(1, Math.round(height * scale));
+    const output = new ImageData(outWidth, outHeight);
+    const out = output.data;
+
+    for (let y = 0; y < outHeight; y++) {
+        // Pixel centres map onto pixel centres
+        const sy = Math.min(height - 1, Math.max(0, (y + 0.5) * height / outHeight - 0.5));
+        const y0 = Math.floor(sy), y1 = Math.min(height - 1, y0 + 1), fy = sy - y0;
+        for (let x = 0; x < outWidth; x++) {
+            const sx = Math.min(width - 1, Math.max(0, (x + 0.5) * width / outWidth - 0.5));
+            const x0 = Math.floor(sx), x1 = Math.min(width - 1, x0 + 1), fx = sx - x0;
+
+            const i00 = (y0 * width + x0) * 4, i01 = (y0 * width + x1) * 4;
+            const i10 = (y1 * width + x0) * 4, i11 = (y1 * width + x1) * 4;
+            const o = (y * outWidth + x) * 4;
+            for (let c = 0; c < 4; c++) {
+                const top = data[i00 + c] * (1 - fx) + data[i01 + c] * fx;
+                const bottom = data[i10 + c] * (1 - fx) + data[i11 + c] * fx;
+                out[o + c] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Assemble a PNG file from filtered scanlines
+ * @param {number} width
+ * @param {number} height
+ * @param {number} bitDepth - Bits per sample
+ * @param {number} colorType - 0 (grayscale) or 6 (RGBA)
+ * @param {Uint8Array} raw - Scanlines, each prefixed with its filter type
+ * @returns {Promise<Blob>} PNG file as a Blob of type image/png
+ */
+async function assemblePNG(width, height, bitDepth, colorType, raw) {
+    // IHDR: size, bit depth, color type, deflate, adaptive filtering, no interlace
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    header[10] = 0;
+    header[11] = 0;
+    header[12] = 0;
+
+    const parts = [
+        PNG_SIGNATURE,
+        createChunk('IHDR', header),
+        createChunk('IDAT', await deflate(raw)),
+        createChunk('IEND', new Uint8Array(0))
+    ];
+    return new Blob(parts, { type: 'image/png' });
+}
+
+/**
+ * Encode a height field as a 16-bit grayscale PNG
+ * @param {{data: Float32Array, width: number, height: number}} field - Heights (0..1)
+ * @returns {Promise<Blob>} PNG file as a Blob of type image/png
+ */
+export async function encodeGray16PNG(field) {
+    const { data, width, height } = field;
+    if (!data || !width || !height || data.length !== width * height) {
+        throw new Error('[PNGWriter] Invalid height field');
+    }
+
+    // Big-endian samples, each scanline prefixed with filter type 1 (Sub):
+    // neighbouring heights are close, so the differences deflate well.
+    // Sub works per byte, so high and low bytes are differenced separately.
+    const rowBytes = width * 2;
+    const raw = new Uint8Array((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (rowBytes + 1);
+        raw[rowStart] = 1;
+        let previousHigh = 0, previousLow = 0;
+        for (let x = 0; x < width; x++) {
+            const value = Math.round(Math.min(1, Math.max(0, data[y * width + x])) * 65535);
+            const high = value >> 8, low = value & 0xff;
+            raw[rowStart + 1 + x * 2] = (high - previousHigh) & 0xff;
+            raw[rowStart + 2 + x * 2] = (low - previousLow) & 0xff;
+            previousHigh = high;
+            previousLow = low;
+        }
+    }
+
+    return assemblePNG(width, height, 16, 0, raw);
+}
+
+/**
+ * Encode ImageData as an 8-bit RGBA PNG, storing every channel exactly as given
+ * (straight alpha, as PNG expects)
+ * @param {ImageData} imageData
+ * @returns {Promise<Blob>} PNG file as a Blob of type image/png
+ */
+export async function encodeRGBA8PNG(imageData) {
+    const { data, width, height } = imageData || {};
+    if (!data || !width || !height || data.length !== width * height * 4) {
+        throw new Error('[PNGWriter] Invalid image data');
+    }
+
+    // Scanlines with filter type 1 (Sub): each byte minus the same channel of the previous pixel
+    const rowBytes = width * 4;
+    const raw = new Uint8Array((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (rowBytes + 1);
+        const sourceStart = y * rowBytes;
+        raw[rowStart] = 1;
+        for (let i = 0; i < rowBytes; i++) {
+            const previous = i >= 4 ? data[sourceStart + i - 4] : 0;
+            raw[rowStart + 1 + i] = (data[sourceStart + i] - previous) & 0xff;
+        }
+    }
+
+    return assemblePNG(width, height, 8, 6, raw);
+}
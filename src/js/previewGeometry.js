@@ -0,0 +1,171 @@
+// Preview Geometry
+// Meshes the generated material can be previewed on: a few primitives, sized
+// to the same footprint as the default plane, and user models loaded from
+// OBJ or GLB files, merged into one geometry so the viewer keeps working with a
+// single mesh and material.
+
+import * as THREE from 'three';
+import { RoundedBoxGeometry } from 'three/examples/jsm/geometries/RoundedBoxGeometry.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+/**
+ * Built-in preview geometries keyed by id. `custom` is the last loaded model.
+ */
+export const PREVIEW_GEOMETRIES = {
+    plane: { label: 'Plane' },
+    sphere: { label: 'Sphere' },
+    cube: { label: 'Cube' },
+    cylinder: { label: 'Cylinder' },
+    torusKnot: { label: 'Torus Knot' },
+    roundedBox: { label: 'Rounded Box' },
+    custom: { label: 'Custom Model' }
+};
+
+/**
+ * Model file extensions loadModelGeometry accepts
+ */
+export const MODEL_FILE_EXTENSIONS = ['.obj', '.glb', '.gltf'];
+
+// Subdivision limits: segments drive the plane directly and the other shapes
+// through their own parameters, capped so curved shapes stay interactive
+const MAX_SEGMENTS = 512;
+const MAX_CURVED_SEGMENTS = 256;
+
+/**
+ * Create a built-in preview geometry
+ * @param {string} type - Key of PREVIEW_GEOMETRIES other than 'custom'
+ * @param {number} segments - Subdivisions per side (displacement detail)
+ * @param {number} size - Edge length of the footprint the shape fills
+ * @returns {THREE.BufferGeometry}
+ */
+export function createPreviewGeometry(type, segments, size) {
+    const count = Math.max(1, Math.min(MAX_SEGMENTS, Math.round(segments) || 1));
+    const curved = Math.max(8, Math.min(MAX_CURVED_SEGMENTS, count));
+    const half = size / 2;
+
+    switch (type) {
+        case 'plane':
+            return new THREE.PlaneGeometry(size, size, count, count);
+        case 'sphere':
+            return new THREE.SphereGeometry(half, curved * 2, curved);
+        case 'cube': {
+            const edge = size * 0.7;
+            const faces = Math.min(MAX_CURVED_SEGMENTS, count);
+            return new THREE.BoxGeometry(edge, edge, edge, faces, faces, faces);
+        }
+        case 'cylinder':
+            return new THREE.CylinderGeometry(half * 0.7, half * 0.7, size * 0.8, curved * 2, curved);
+        case 'torusKnot':
+            return new THREE.TorusKnotGeometry(half * 0.6, half * 0.2, curved * 4, Math.max(8, curved / 2));
+        case 'roundedBox': {
+            const edge = size * 0.7;
+            // RoundedBoxGeometry subdivides each corner, which grows quickly
+            const cornerSegments = Math.max(2, Math.min(16, Math.round(curved / 16)));
+            return new RoundedBoxGeometry(edge, edge, edge, cornerSegments, edge * 0.15);
+        }
+        default:
+            throw new Error(`[PreviewGeometry] Unknown geometry: ${type}`);
+    }
+}
+
+/**
+ * Load an OBJ or GLB model file as a single geometry, centred and scaled to fit
+ * @param {File} file - .obj, .glb or a self-contained .gltf
+ * @param {number} size - Largest dimension of the result
+ * @returns {Promise<THREE.BufferGeometry>}
+ */
+export async function loadModelGeometry(file, size) {
+    const name = file.name.toLowerCase();
+    let root;
+    if (name.endsWith('.obj')) {
+        root = new OBJLoader().parse(await file.text());
+    } else if (name.endsWith('.glb') || name.endsWith('.gltf')) {
+        const gltf = await new GLTFLoader().parseAsync(await file.arrayBuffer(), '');
+        root = gltf.scene;
+    } else {
+        throw new Error(`[PreviewGeometry] Unsupported model file: ${file.name}`);
+    }
+
+    const geometry = mergeModelGeometry(root);
+    disposeModel(root);
+    fitGeometry(geometry, size);
+    return geometry;
+}
+
+/**
+ * Merge every mesh of a loaded model into one geometry in model space
+ * @param {THREE.Object3D} root - Loaded model
+ * @returns {THREE.BufferGeometry}
+ */
+function mergeModelGeometry(root) {
+    root.updateMatrixWorld(true);
+
+    const parts = [];
+    root.traverse(object => {
+        if (!object.isMesh || !object.geometry?.getAttribute('position')) return;
+
+        // Keep only what the material reads, so the parts can be merged
+        const source = object.geometry.index ? object.geometry.toNonIndexed() : object.geometry.clone();
+        const part = new THREE.BufferGeometry();
+        part.setAttribute('position', source.getAttribute('position'));
+        if (source.getAttribute('normal')) part.setAttribute('normal', source.getAttribute('normal'));
+        if (source.getAttribute('uv')) part.setAttribute('uv', source.getAttribute('uv'));
+        part.applyMatrix4(object.matrixWorld);
+        parts.push(part);
+    });
+
+    if (parts.length === 0) {
+        throw new Error('[PreviewGeometry] The model contains no meshes');
+    }
+    if (parts.some(part => !part.getAttribute('uv'))) {
+        throw new Error('[PreviewGeometry] The model has no UV coordinates, so the maps cannot be applied');
+    }
+    if (parts.some(part => !part.getAttribute('normal'))) {
+        parts.forEach(part => part.computeVertexNormals());
+    }
+
+    const merged = mergeGeometries(parts);
+    parts.forEach(part => part.dispose());
+    if (!merged) {
+        throw new Error('[PreviewGeometry] Could not merge the model meshes');
+    }
+    return merged;
+}
+
+/**
+ * Centre a geometry on the origin and scale its largest dimension to a size
+ * @param {THREE.BufferGeometry} geometry
+ * @param {number} size
+ */
+function fitGeometry(geometry, size) {
+    geometry.computeBoundingBox();
+    const box = geometry.boundingBox;
+    const center = box.getCenter(new THREE.Vector3());
+    const extent = box.getSize(new THREE.Vector3());
+    const largest = Math.max(extent.x, extent.y, extent.z) || 1;
+
+    geometry.translate(-center.x, -center.y, -center.z);
+    geometry.scale(size / largest, size / largest, size / largest);
+    geometry.computeBoundingSphere();
+}
+
+/**
+ * Release the GPU-side resources a loader created for a model we only read
+ * @param {THREE.Object3D} root
+ */
+function disposeModel(root) {
+    root.traverse(object => {
+        if (!object.isMesh) return;
+        object.geometry?.dispose();
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => {
+            if (!material) return;
+            Object.values(material).forEach(value => {
+                if (value?.isTexture) value.dispose();
+            });
+            material.dispose();
+        });
+    });
+}
@@ -0,0 +1,332 @@
+// Roughness Mapping System
+// This implementation derives a roughness map from an image using local variance,
+// inverted luminance or DoG energy, followed by levels and optional inversion
+
+import * as THREE from 'three';
+import { DoGBumpMapper } from './DoGBumpMapper.js';
+
+/**
+ * Class for generating a roughness map from image structure
+ */
+export class RoughnessMapper {
+    /**
+     * @param {Object} options
+     * @param {string} [options.mode='variance'] - Source of roughness: 'variance', 'luminance' or 'dog'
+     * @param {number} [options.radius=2]        - Window radius (variance) or blur sigma (dog) in pixels
+     * @param {number} [options.levelsLow=0]     - Input black point (0..1)
+     * @param {number} [options.levelsHigh=1]    - Input white point (0..1)
+     * @param {number} [options.gamma=1.0]       - Midtone gamma applied after levels
+     * @param {boolean} [options.invert=false]   - Invert the final roughness
+     * @param {boolean} [options.tileable=false] - Wrap the DoG blurs around the edges
+     */
+    constructor(options = {}) {
+        this.mode       = options.mode       !== undefined ? options.mode : 'variance';
+        this.radius     = Math.max(1, options.radius !== undefined ? options.radius : 2);
+        this.levelsLow  = options.levelsLow  !== undefined ? options.levelsLow  : 0;
+        this.levelsHigh = options.levelsHigh !== undefined ? options.levelsHigh : 1;
+        this.gamma      = Math.max(0.01, options.gamma !== undefined ? options.gamma : 1.0);
+        this.invert     = options.invert || false;
+        this.tileable   = options.tileable || false;
+    }
+
+    /**
+     * Main processing function
+     * @param {ImageData} imageData - Input image data
+     * @returns {ImageData} Generated roughness map as ImageData
+     */
+    generateRoughnessMap(imageData) {
+        if (!imageData || !imageData.width || !imageData.height) {
+            throw new Error('Invalid image data provided to RoughnessMapper');
+        }
+
+        let raw;
+        switch (this.mode) {
+            case 'luminance':
+                raw = this._invertedLuminance(imageData);
+                break;
+            case 'dog':
+                raw = this._dogEnergy(imageData);
+                break;
+            case 'variance':
+            default:
+                raw = this._localVariance(imageData);
+                break;
+        }
+
+        return this._applyLevels(raw, imageData);
+    }
+
+    /**
+     * Normalized luminance (0..1) of every pixel
+     * @param {ImageData} imageData
+     * @returns {Float32Array}
+     * @private
+     */
+    _luminance(imageData) {
+        const input = imageData.data;
+        const lum = new Float32Array(imageData.width * imageData.height);
+        for (let i = 0, p = 0; i < input.length; i += 4, p++) {
+            lum[p] = (0.2126 * input[i] + 0.7152 * input[i + 1] + 0.0722 * input[i + 2]) / 255;
+        }
+        return lum;
+    }
+
+    /**
+     * Dark areas read as rough, bright areas as glossy
+     * @param {ImageData} imageData
+     * @returns {Float32Array} Roughness in 0..1
+     * @private
+     */
+    _invertedLuminance(imageData) {
+        const lum = this._luminance(imageData);
+        for (let p = 0; p < lum.length; p++) {
+            lum[p] = 1 - lum[p];
+        }
+        return lum;
+    }
+
+    /**
+     * Local standard deviation of luminance over a (2r+1)² window, using
+     * summed-area tables so the cost does not depend on the radius.
+     * Normalized by the largest deviation in the image.
+     * @param {ImageData} imageData
+     * @returns {Float32Array} Roughness in 0..1
+     * @private
+     */
+    _localVariance(imageData) {
+        const width = imageData.width;
+        const height = imageData.height;
+        const lum = this._luminance(imageData);
+        const r = Math.round(this.radius);
+
+        // Summed-area tables of L and L², padded by one row and column
+        const stride = width + 1;
+        const sum = new Float64Array(stride * (height + 1));
+        const sumSq = new Float64Array(stride * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0, rowSumSq = 0;
+            for (let x = 0; x < width; x++) {
+                const v = lum[y * width + x];
+                rowSum += v;
+                rowSumSq += v * v;
+                sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + rowSum;
+                sumSq[(y + 1) * stride + x + 1] = sumSq[y * stride + x + 1] + rowSumSq;
+            }
+        }
+
+        const deviation = new Float32Array(width * height);
+        let maxDeviation = 0;
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - r), y1 = Math.min(height, y + r + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - r), x1 = Math.min(width, x + r + 1);
+                const count = (x1 - x0) * (y1 - y0);
+
+                const s = sum[y1 * stride + x1] - sum[y0 * stride + x1] - sum[y1 * stride + x0] + sum[y0 * stride + x0];
+                const sq = sumSq[y1 * stride + x1] - sumSq[y0 * stride + x1] - sumSq[y1 * stride + x0] + sumSq[y0 * stride + x0];
+                const mean = s / count;
+                const std = Math.sqrt(Math.max(0, sq / count - mean * mean));
+
+                deviation[y * width + x] = std;
+                if (std > maxDeviation) maxDeviation = std;
+            }
+        }
+
+        return this._normalize(deviation, maxDeviation);
+    }
+
+    /**
+     * Magnitude of the DoG response between sigma = radius and 2 × radius,
+     * normalized by the strongest response in the image
+     * @param {ImageData} imageData
+     * @returns {Float32Array} Roughness in 0..1
+     * @private
+     */
+    _dogEnergy(imageData) {
+        const dogMapper = new DoGBumpMapper({
+            sigma1: this.radius,
+            sigma2: this.radius * 2,
+            threshold: 0.0001,
+            heightScale: 1.0,
+            tileable: this.tileable
+        });
+        dogMapper.generateBumpMap(imageData);
+        const heights = dogMapper.heightField.data;
+
+        const energy = new Float32Array(imageData.width * imageData.height);
+        let maxEnergy = 0;
+        for (let p = 0; p < heights.length; p++) {
+            // Unquantised heights, so weak responses don't collapse onto 128
+            const e = Math.abs(heights[p] * 255 - 128);
+            energy[p] = e;
+            if (e > maxEnergy) maxEnergy = e;
+        }
+
+        return this._normalize(energy, maxEnergy);
+    }
+
+    /**
+     * Scale values in place so the maximum becomes 1
+     * @param {Float32Array} values
+     * @param {number} max
+     * @returns {Float32Array}
+     * @private
+     */
+    _normalize(values, max) {
+        if (max > 0.00001) {
+            for (let p = 0; p < values.length; p++) {
+                values[p] /= max;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Apply levels, gamma and inversion and pack as grayscale
+     * @param {Float32Array} raw - Roughness in 0..1
+     * @param {ImageData} imageData - Source image (for size and alpha)
+     * @returns {ImageData}
+     * @private
+     */
+    _applyLevels(raw, imageData) {
+        const output = new ImageData(imageData.width, imageData.height);
+        const outBuf = output.data;
+        const range = Math.max(0.00001, this.levelsHigh - this.levelsLow);
+        const invGamma = 1 / this.gamma;
+
+        for (let p = 0, i = 0; p < raw.length; p++, i += 4) {
+            let v = Math.min(1, Math.max(0, (raw[p] - this.levelsLow) / range));
+            v = Math.pow(v, invGamma);
+            if (this.invert) v = 1 - v;
+
+            const val = Math.round(v * 255);
+            outBuf[i]     = val;
+            outBuf[i + 1] = val;
+            outBuf[i + 2] = val;
+            outBuf[i + 3] = 255;
+        }
+
+        return output;
+    }
+}
+
+/**
+ * Three.js integration for Roughness Mapping
+ */
+export class ThreeJsRoughnessMapper {
+    /**
+     * @param {Object} options - Options for the RoughnessMapper and preview
+     */
+    constructor(options = {}) {
+        this.mapper = new RoughnessMapper(options);
+        this.options = {
+            showPreviews: options.showPreviews !== undefined ? options.showPreviews : true,
+            previewSize:  options.previewSize  || 128,
+            debugLogs:    options.debugLogs    || false
+        };
+        this._previewElements = [];
+    }
+
+    /**
+     * Create a THREE.Texture from already generated roughness pixels
+     * @param {ImageData} roughnessData
+     * @returns {THREE.Texture}
+     */
+    createRoughnessTextureFromData(roughnessData) {
+        this._cleanupPreviews();
+
+        const outCanvas = document.createElement('canvas');
+        outCanvas.width  = roughnessData.width;
+        outCanvas.height = roughnessData.height;
+        outCanvas.getContext('2d').putImageData(roughnessData, 0, 0);
+
+        if (this.options.showPreviews) {
+            this._createPreviews(outCanvas);
+        }
+
+        const texture = new THREE.Texture(outCanvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.needsUpdate = true;
+
+        return texture;
+    }
+
+    /**
+     * Display preview canvases
+     * @param {HTMLCanvasElement} canvas
+     * @private
+     */
+    _createPreviews(canvas) {
+        const size = this.options.previewSize;
+        const cvPrev = canvas.cloneNode(true);
+        cvPrev.getContext('2d').drawImage(canvas, 0, 0);
+        cvPrev.className = 'roughness-preview';
+        cvPrev.style.cssText = `
+            position: fixed;
+            top: ${20 + size}px;
+            right: 10px;
+            width: ${size}px;
+            height: ${size}px;
+            border: 2px solid #fff;
+            z-index: 9999;
+        `;
+        document.body.appendChild(cvPrev);
+        this._previewElements.push(cvPrev);
+
+        if (this.options.debugLogs) {
+            console.log('[RoughnessMap] Preview appended');
+        }
+    }
+
+    /**
+     * Remove previews
+     * @private
+     */
+    _cleanupPreviews() {
+        this._previewElements.forEach(el => el.parentNode?.removeChild(el));
+        this._previewElements = [];
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this._cleanupPreviews();
+    }
+
+    /**
+     * Static helper to apply already generated roughness pixels to a mesh
+     * @param {THREE.Mesh} mesh
+     * @param {ImageData} roughnessData
+     * @param {Object} options
+     * @returns {THREE.Texture}
+     */
+    static applyDataToMesh(mesh, roughnessData, options = {}) {
+        if (!mesh) throw new Error('[RoughnessMap] Invalid mesh provided');
+        const mapper = new ThreeJsRoughnessMapper(options);
+        try {
+            const roughnessTex = mapper.createRoughnessTextureFromData(roughnessData);
+            ThreeJsRoughnessMapper._setRoughnessMap(mesh, roughnessTex);
+            return roughnessTex;
+        } finally {
+            mapper._cleanupPreviews();
+        }
+    }
+
+    /**
+     * Assign a roughness texture to a mesh's material. The scalar roughness is
+     * set to 1 because Three.js multiplies it with the map's green channel.
+     * @param {THREE.Mesh} mesh
+     * @param {THREE.Texture} roughnessTex
+     * @private
+     */
+    static _setRoughnessMap(mesh, roughnessTex) {
+        if (mesh.material) {
+            if (mesh.material.roughnessMap) mesh.material.roughnessMap.dispose();
+            mesh.material.roughnessMap = roughnessTex;
+            mesh.material.roughness = 1.0;
+            mesh.material.needsUpdate = true;
+        }
+    }
+}
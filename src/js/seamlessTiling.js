@@ -0,0 +1,73 @@
+// Seamless Tiling
+// Seam-removal pre-pass for source images that do not tile. The image is
+// offset by half its size, which moves the seams to a cross through the centre
+// while the borders become continuous, and the two versions are cross-faded:
+// the offset copy near the borders, the original in the interior.
+
+/**
+ * Make an image tileable by offset and cross-fade. Runs once per axis so the
+ * offset copy's own seam (through the centre) is never blended in.
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} [blendWidth=0.15] - Width of the cross-fade band as a fraction of the image size (0..0.5)
+ * @returns {ImageData} New tileable image
+ */
+export function makeSeamless(imageData, blendWidth = 0.15) {
+    if (!imageData || !imageData.width || !imageData.height) {
+        throw new Error('[SeamlessTiling] Invalid image data');
+    }
+
+    const { width, height } = imageData;
+    const band = Math.min(0.5, Math.max(0.01, blendWidth));
+
+    // Horizontal pass, then vertical pass on its result
+    const horizontal = crossFadeAxis(imageData.data, width, height, band, true);
+    const vertical = crossFadeAxis(horizontal, width, height, band, false);
+
+    const output = new ImageData(width, height);
+    output.data.set(vertical);
+    return output;
+}
+
+/**
+ * Blend an image with a copy shifted by half its size along one axis: the copy
+ * at the two borders of that axis, fading to the original one band inside
+ * @param {Uint8ClampedArray|Float32Array} data - RGBA pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {number} band - Cross-fade band as a fraction of the axis length
+ * @param {boolean} alongX - Blend across the left/right borders (true) or top/bottom (false)
+ * @returns {Float32Array} Blended RGBA pixels
+ */
+function crossFadeAxis(data, width, height, band, alongX) {
+    const size = alongX ? width : height;
+    const half = Math.floor(size / 2);
+    const bandPixels = Math.max(1, band * size);
+    const out = new Float32Array(data.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const t = alongX ? x : y;
+            const weight = smoothFalloff(Math.min(t, size - 1 - t) / bandPixels);
+
+            const idx = (y * width + x) * 4;
+            const shifted = alongX
+                ? (y * width + (x + half) % width) * 4
+                : (((y + half) % height) * width + x) * 4;
+            for (let c = 0; c < 4; c++) {
+                out[idx + c] = data[shifted + c] * weight + data[idx + c] * (1 - weight);
+            }
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Smoothstep from 1 at t = 0 to 0 at t >= 1
+ * @param {number} t
+ * @returns {number}
+ */
+function smoothFalloff(t) {
+    const s = Math.min(1, Math.max(0, t));
+    return 1 - s * s * (3 - 2 * s);
+}
@@ -0,0 +1,110 @@
+// Source Image Cache
+// Decodes the source image once and hands the same ImageData to every map stage,
+// instead of each mapper building its own Image, canvas and getImageData.
+
+/**
+ * Cache holding the decoded pixels of the current source image
+ */
+export class SourceImageCache {
+    constructor() {
+        this.imageUrl = null;
+        this.imageData = null;
+
+        // Incremented whenever the cached source changes
+        this.version = 0;
+
+        this._pending = null;
+        this._pendingUrl = null;
+    }
+
+    /**
+     * Get the decoded pixels for an image URL, decoding only on a cache miss.
+     * Callers must treat the returned ImageData as read-only.
+     * @param {string} imageUrl - URL of the source image
+     * @returns {Promise<ImageData>} Decoded source pixels
+     */
+    getImageData(imageUrl) {
+        if (!imageUrl) {
+            return Promise.reject(new Error('[SourceImage] No image URL provided'));
+        }
+
+        if (this.imageData && this.imageUrl === imageUrl) {
+            return Promise.resolve(this.imageData);
+        }
+
+        // Share an in-flight decode of the same URL
+        if (this._pending && this._pendingUrl === imageUrl) {
+            return this._pending;
+        }
+
+        const pending = this._decode(imageUrl).then((imageData) => {
+            // Ignore decodes that were superseded or invalidated meanwhile
+            if (this._pending === pending) {
+                this.imageUrl = imageUrl;
+                this.imageData = imageData;
+                this.version++;
+                this._pending = null;
+                this._pendingUrl = null;
+            }
+            return imageData;
+        }, (error) => {
+            if (this._pending === pending) {
+                this._pending = null;
+                this._pendingUrl = null;
+            }
+            throw error;
+        });
+
+        this._pending = pending;
+        this._pendingUrl = imageUrl;
+        return pending;
+    }
+
+    /**
+     * Drop the cached pixels, e.g. when the user selects a new image
+     */
+    invalidate() {
+        this.imageUrl = null;
+        this.imageData = null;
+        this._pending = null;
+        this._pendingUrl = null;
+        this.version++;
+    }
+
+    /**
+     * Decode an image URL into ImageData
+     * @private
+     * @param {string} imageUrl
+     * @returns {Promise<ImageData>}
+     */
+    _decode(imageUrl) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'Anonymous';
+
+            img.onload = () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = img.width;
+                    canvas.height = img.height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(img, 0, 0);
+                    resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
+                } catch (error) {
+                    console.error('[SourceImage] Error reading image pixels:', error);
+                    reject(error);
+                }
+            };
+
+            img.onerror = (error) => {
+                console.error(`[SourceImage] Failed to load image: ${imageUrl}`, error);
+                reject(new Error(`Failed to load image: ${imageUrl}`));
+            };
+
+            img.src = imageUrl;
+        });
+    }
+}
+
+// Shared instance used by every map stage
+export const sourceImageCache = new SourceImageCache();
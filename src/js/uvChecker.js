@@ -0,0 +1,86 @@
+// UV Checker
+// Checkerboard texture laid over the material to show how one tile of the
+// maps falls on the mesh. Cells are tinted by their U (red) and V (green)
+// position, so flipped or rotated UVs are easy to spot.
+
+import * as THREE from 'three';
+
+/**
+ * Draw the checker pattern
+ * @param {number} [size=512] - Texture size in pixels
+ * @param {number} [cells=8] - Cells per side
+ * @returns {HTMLCanvasElement}
+ */
+function drawChecker(size = 512, cells = 8) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const cellSize = size / cells;
+
+    for (let row = 0; row < cells; row++) {
+        for (let col = 0; col < cells; col++) {
+            const u = (col + 0.5) / cells;
+            // Canvas rows run top-down while V runs bottom-up
+            const v = 1 - (row + 0.5) / cells;
+            const light = (row + col) % 2 === 0;
+            const base = light ? 140 : 40;
+            const red = Math.round(base + 100 * u);
+            const green = Math.round(base + 100 * v);
+            ctx.fillStyle = `rgb(${red}, ${green}, ${base})`;
+            ctx.fillRect(col * cellSize, row * cellSize, cellSize, cellSize);
+        }
+    }
+
+    // Tile border and a marker in the (0, 0) corner
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = Math.max(2, size / 128);
+    ctx.strokeRect(0, 0, size, size);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, size - cellSize / 2, cellSize / 2, cellSize / 2);
+
+    return canvas;
+}
+
+/**
+ * Create the UV checker texture, wrapping so it follows the preview repeat
+ * @param {number} [size=512] - Texture size in pixels
+ * @param {number} [cells=8] - Cells per side
+ * @returns {THREE.Texture}
+ */
+export function createUVCheckerTexture(size = 512, cells = 8) {
+    const texture = new THREE.CanvasTexture(drawChecker(size, cells));
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.anisotropy = 4;
+    return texture;
+}
+
+/**
+ * Create the overlay mesh: the checker drawn half-transparent on top of a mesh,
+ * sharing its geometry. Lambert shading is used only because, unlike the basic
+ * material, it supports displacement; the pattern itself is emitted unlit.
+ * @param {THREE.Mesh} mesh - Mesh to overlay
+ * @param {number} [opacity=0.5]
+ * @returns {THREE.Mesh}
+ */
+export function createUVCheckerOverlay(mesh, opacity = 0.5) {
+    const checker = createUVCheckerTexture();
+    const material = new THREE.MeshLambertMaterial({
+        color: 0x000000,
+        emissive: 0xffffff,
+        emissiveMap: checker,
+        transparent: true,
+        opacity,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -1,
+        polygonOffsetUnits: -1,
+        side: THREE.DoubleSide
+    });
+    const overlay = new THREE.Mesh(mesh.geometry, material);
+    overlay.name = 'UVCheckerOverlay';
+    overlay.renderOrder = 1;
+    return overlay;
+}
@@ -0,0 +1,160 @@
+// ZIP Writer
+// Minimal in-browser ZIP archive builder. Entries are stored uncompressed
+// (method 0): the maps are PNGs, which are already deflated, so compressing
+// them again would cost time for almost no gain.
+
+/**
+ * CRC-32 lookup table (IEEE polynomial, reflected)
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack a Date into MS-DOS time and date fields
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Builds a ZIP archive from in-memory files
+ */
+export class ZipWriter {
+    constructor() {
+        // { name, nameBytes, data, crc, offset }
+        this.entries = [];
+        this.modified = toDosDateTime(new Date());
+        this._encoder = new TextEncoder();
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive (forward slashes)
+     * @param {Uint8Array|ArrayBuffer|string} data - File contents; strings are UTF-8 encoded
+     * @returns {ZipWriter} - This instance for chaining
+     */
+    addFile(name, data) {
+        if (!name) {
+            throw new Error('[ZipWriter] File name is required');
+        }
+        if (this.entries.some(entry => entry.name === name)) {
+            throw new Error(`[ZipWriter] Duplicate file name: ${name}`);
+        }
+
+        let bytes;
+        if (typeof data === 'string') {
+            bytes = this._encoder.encode(data);
+        } else if (data instanceof ArrayBuffer) {
+            bytes = new Uint8Array(data);
+        } else if (data instanceof Uint8Array) {
+            bytes = data;
+        } else {
+            throw new Error(`[ZipWriter] Unsupported data for ${name}`);
+        }
+
+        this.entries.push({
+            name,
+            nameBytes: this._encoder.encode(name),
+            data: bytes,
+            crc: crc32(bytes)
+        });
+        return this;
+    }
+
+    /**
+     * Assemble the archive
+     * @returns {Blob} - ZIP file as a Blob of type application/zip
+     */
+    toBlob() {
+        const parts = [];
+        let offset = 0;
+
+        // Local file headers followed by the file data
+        this.entries.forEach(entry => {
+            entry.offset = offset;
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);      // Local file header signature
+            header.setUint16(4, 20, true);              // Version needed (2.0)
+            header.setUint16(6, 0x0800, true);          // Flags: UTF-8 names
+            header.setUint16(8, 0, true);               // Method: stored
+            header.setUint16(10, this.modified.time, true);
+            header.setUint16(12, this.modified.date, true);
+            header.setUint32(14, entry.crc, true);
+            header.setUint32(18, entry.data.length, true); // Compressed size
+            header.setUint32(22, entry.data.length, true); // Uncompressed size
+            header.setUint16(26, entry.nameBytes.length, true);
+            header.setUint16(28, 0, true);              // Extra field length
+
+            parts.push(header, entry.nameBytes, entry.data);
+            offset += 30 + entry.nameBytes.length + entry.data.length;
+        });
+
+        // Central directory
+        const centralStart = offset;
+        this.entries.forEach(entry => {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);      // Central directory signature
+            header.setUint16(4, 20, true);              // Version made by
+            header.setUint16(6, 20, true);              // Version needed
+            header.setUint16(8, 0x0800, true);          // Flags: UTF-8 names
+            header.setUint16(10, 0, true);              // Method: stored
+            header.setUint16(12, this.modified.time, true);
+            header.setUint16(14, this.modified.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.data.length, true);
+            header.setUint32(24, entry.data.length, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint16(30, 0, true);              // Extra field length
+            header.setUint16(32, 0, true);              // Comment length
+            header.setUint16(34, 0, true);              // Disk number
+            header.setUint16(36, 0, true);              // Internal attributes
+            header.setUint32(38, 0, true);              // External attributes
+            header.setUint32(42, entry.offset, true);
+
+            parts.push(header, entry.nameBytes);
+            offset += 46 + entry.nameBytes.length;
+        });
+
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(4, 0, true);                      // Disk number
+        end.setUint16(6, 0, true);                      // Disk with central directory
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, offset - centralStart, true); // Central directory size
+        end.setUint32(16, centralStart, true);          // Central directory offset
+        end.setUint16(20, 0, true);                     // Comment length
+        parts.push(end);
+
+        return new Blob(parts, { type: 'application/zip' });
+    }
+}
@@ -0,0 +1,137 @@
+// Light Direction Pad
+// A 2D gizmo for aiming a rig light: the disc is the hemisphere above the
+// preview plane seen from the front. The centre lights the surface straight on,
+// the rim grazes it, so dragging towards the rim rakes light across the bump detail.
+
+const PAD_MARGIN = 8;
+const LIGHT_RADIUS = 6;
+
+export class LightDirectionPad {
+    /**
+     * @param {HTMLCanvasElement} canvas - Square canvas to draw on
+     * @param {function(number, number): void} onChange - Called with (azimuth, elevation) in degrees while dragging
+     */
+    constructor(canvas, onChange) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onChange = onChange;
+        this.lights = [];
+        this.selected = 0;
+        this.dragging = false;
+
+        canvas.addEventListener('pointerdown', (event) => {
+            if (!this.lights[this.selected]) return;
+            this.dragging = true;
+            canvas.setPointerCapture(event.pointerId);
+            this._handlePointer(event);
+        });
+        canvas.addEventListener('pointermove', (event) => {
+            if (this.dragging) this._handlePointer(event);
+        });
+        const stopDragging = (event) => {
+            if (!this.dragging) return;
+            this.dragging = false;
+            canvas.releasePointerCapture(event.pointerId);
+        };
+        canvas.addEventListener('pointerup', stopDragging);
+        canvas.addEventListener('pointercancel', stopDragging);
+
+        this.draw();
+    }
+
+    /**
+     * Show the rig lights, highlighting the one dragging moves
+     * @param {Array<Object>} lights - Light specs from the `lighting` state section
+     * @param {number} selected - Index of the light the pad edits
+     */
+    setLights(lights, selected) {
+        this.lights = lights || [];
+        this.selected = selected;
+        this.draw();
+    }
+
+    /**
+     * Pad geometry: centre and radius of the disc in canvas pixels
+     * @private
+     */
+    _disc() {
+        const size = Math.min(this.canvas.width, this.canvas.height);
+        return { cx: this.canvas.width / 2, cy: this.canvas.height / 2, radius: size / 2 - PAD_MARGIN };
+    }
+
+    /**
+     * Convert a pointer position to a direction and report it
+     * @private
+     * @param {PointerEvent} event
+     */
+    _handlePointer(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const { cx, cy, radius } = this._disc();
+        // Canvas y grows downwards, light y (up on the plane) upwards
+        const px = ((event.clientX - rect.left) * this.canvas.width / rect.width - cx) / radius;
+        const py = -((event.clientY - rect.top) * this.canvas.height / rect.height - cy) / radius;
+
+        const distance = Math.min(1, Math.hypot(px, py));
+        const azimuth = Math.round(Math.atan2(py, px) * 180 / Math.PI);
+        const elevation = Math.round(Math.acos(distance) * 180 / Math.PI);
+        this.onChange(azimuth, elevation);
+    }
+
+    /**
+     * Canvas position of a light
+     * @private
+     * @param {Object} light - Light spec with azimuth and elevation in degrees
+     * @returns {{x: number, y: number}}
+     */
+    _lightPoint(light) {
+        const { cx, cy, radius } = this._disc();
+        const r = Math.cos(light.elevation * Math.PI / 180) * radius;
+        const az = light.azimuth * Math.PI / 180;
+        return { x: cx + r * Math.cos(az), y: cy - r * Math.sin(az) };
+    }
+
+    /**
+     * Redraw the disc, elevation rings and lights
+     */
+    draw() {
+        const { ctx, canvas } = this;
+        const { cx, cy, radius } = this._disc();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Rings at 30° and 60° elevation, and the axes
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        [0, 30, 60].forEach(elevation => {
+            ctx.beginPath();
+            ctx.arc(cx, cy, Math.cos(elevation * Math.PI / 180) * radius, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.beginPath();
+        ctx.moveTo(cx - radius, cy);
+        ctx.lineTo(cx + radius, cy);
+        ctx.moveTo(cx, cy - radius);
+        ctx.lineTo(cx, cy + radius);
+        ctx.stroke();
+
+        this.lights.forEach((light, index) => {
+            const { x, y } = this._lightPoint(light);
+            const color = '#' + Number(light.color).toString(16).padStart(6, '0');
+            ctx.fillStyle = color;
+            ctx.strokeStyle = index === this.selected ? '#ffffff' : 'rgba(0, 0, 0, 0.6)';
+            ctx.lineWidth = index === this.selected ? 2 : 1;
+            ctx.beginPath();
+            if (light.type === 'point') {
+                ctx.arc(x, y, LIGHT_RADIUS, 0, Math.PI * 2);
+            } else {
+                ctx.rect(x - LIGHT_RADIUS, y - LIGHT_RADIUS, LIGHT_RADIUS * 2, LIGHT_RADIUS * 2);
+            }
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+}
@@ -0,0 +1,354 @@
+// Pixel Inspector
+// Full-size 2D view of a generated map next to the source image. Both views
+// share one pan and zoom, are drawn nearest-neighbour so single pixels stay
+// sharp, and highlight the pixel under the cursor. The readout lists the RGBA
+// values of both images plus what the map pixel encodes: the height for the
+// bump map, the unit vector for the normal map, the value for grayscale maps.
+
+const MAX_ZOOM = 64;
+const ZOOM_STEP = 1.2;
+
+// Zoom level from which the pixel grid is drawn
+const GRID_ZOOM = 12;
+
+// Maps stored as a single grayscale value, with the name of that value
+const GRAYSCALE_MAPS = {
+    ao: 'occlusion',
+    roughness: 'roughness',
+    metalness: 'metalness'
+};
+
+export class PixelInspector {
+    /**
+     * @param {HTMLElement} container - Inspector panel holding the canvases and readout
+     */
+    constructor(container) {
+        this.container = container;
+        this.sourceCanvas = container.querySelector('.inspector-source');
+        this.mapCanvas = container.querySelector('.inspector-map');
+        this.readout = container.querySelector('.inspector-readout');
+
+        this.source = null;         // ImageData
+        this.map = null;            // ImageData
+        this.mapType = null;
+        this.heightField = null;
+        this.normalConvention = 'opengl';
+
+        // Offscreen copies drawn with drawImage
+        this._sourceImage = document.createElement('canvas');
+        this._mapImage = document.createElement('canvas');
+
+        // View transform: screen = pan + mapPixel * zoom
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.hover = null;          // Map pixel under the cursor { x, y }
+        this._drag = null;
+
+        [this.sourceCanvas, this.mapCanvas].forEach(canvas => this._bindCanvas(canvas));
+        window.addEventListener('resize', () => {
+            if (this.isOpen()) this._resize();
+        });
+    }
+
+    /**
+     * @returns {boolean} Whether the inspector is shown
+     */
+    isOpen() {
+        return this.container.style.display === 'flex';
+    }
+
+    /**
+     * Show a map next to the source image
+     * @param {Object} view
+     * @param {ImageData} view.map - Map pixels
+     * @param {string} view.mapType - 'bump', 'normal', 'ao', 'albedo', ...
+     * @param {ImageData} [view.source] - Source image pixels
+     * @param {{data: Float32Array, width: number, height: number}} [view.heightField] - Float heights of the bump map
+     * @param {string} [view.normalConvention='opengl'] - Green channel convention of the normal map
+     */
+    open({ map, mapType, source = null, heightField = null, normalConvention = 'opengl' }) {
+        const sameSize = this.map && this.map.width === map.width && this.map.height === map.height;
+        this.map = map;
+        this.mapType = mapType;
+        this.source = source;
+        this.heightField = heightField;
+        this.normalConvention = normalConvention;
+
+        this._copyToCanvas(this._mapImage, map);
+        if (source) this._copyToCanvas(this._sourceImage, source);
+
+        this.container.style.display = 'flex';
+        this._resize();
+        // Keep the view when switching between maps of the same size
+        if (!sameSize) this.fit();
+        this.draw();
+    }
+
+    /**
+     * Hide the inspector and drop the images
+     */
+    close() {
+        this.container.style.display = 'none';
+        this.map = null;
+        this.source = null;
+        this.heightField = null;
+        this.hover = null;
+    }
+
+    /**
+     * Zoom and centre so the whole map is visible
+     */
+    fit() {
+        if (!this.map) return;
+        const { width, height } = this.mapCanvas;
+        this.zoom = Math.min(width / this.map.width, height / this.map.height);
+        this.panX = (width - this.map.width * this.zoom) / 2;
+        this.panY = (height - this.map.height * this.zoom) / 2;
+    }
+
+    /**
+     * @private
+     * @param {HTMLCanvasElement} canvas
+     * @param {ImageData} imageData
+     */
+    _copyToCanvas(canvas, imageData) {
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Match the canvas resolution to their on-screen size
+     * @private
+     */
+    _resize() {
+        [this.sourceCanvas, this.mapCanvas].forEach(canvas => {
+            canvas.width = Math.max(1, canvas.clientWidth);
+            canvas.height = Math.max(1, canvas.clientHeight);
+        });
+    }
+
+    /**
+     * Pan by dragging, zoom with the wheel around the cursor, track the hovered pixel
+     * @private
+     * @param {HTMLCanvasElement} canvas
+     */
+    _bindCanvas(canvas) {
+        canvas.addEventListener('pointerdown', (event) => {
+            canvas.setPointerCapture(event.pointerId);
+            this._drag = { x: event.clientX, y: event.clientY, panX: this.panX, panY: this.panY };
+        });
+        canvas.addEventListener('pointermove', (event) => {
+            if (this._drag) {
+                this.panX = this._drag.panX + event.clientX - this._drag.x;
+                this.panY = this._drag.panY + event.clientY - this._drag.y;
+            }
+            const { x, y } = this._canvasPoint(canvas, event);
+            this.hover = {
+                x: Math.floor((x - this.panX) / this.zoom),
+                y: Math.floor((y - this.panY) / this.zoom)
+            };
+            this.draw();
+        });
+        const stopDragging = (event) => {
+            if (!this._drag) return;
+            this._drag = null;
+            canvas.releasePointerCapture(event.pointerId);
+        };
+        canvas.addEventListener('pointerup', stopDragging);
+        canvas.addEventListener('pointercancel', stopDragging);
+        canvas.addEventListener('pointerleave', () => {
+            if (this._drag) return;
+            this.hover = null;
+            this.draw();
+        });
+
+        canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            if (!this.map) return;
+            const { x, y } = this._canvasPoint(canvas, event);
+            const minZoom = Math.min(1, canvas.width / this.map.width, canvas.height / this.map.height);
+            const factor = event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+            const zoom = Math.min(MAX_ZOOM, Math.max(minZoom, this.zoom * factor));
+
+            // Keep the point under the cursor in place
+            this.panX = x - (x - this.panX) * zoom / this.zoom;
+            this.panY = y - (y - this.panY) * zoom / this.zoom;
+            this.zoom = zoom;
+            this.draw();
+        }, { passive: false });
+
+        canvas.addEventListener('dblclick', () => {
+            this.fit();
+            this.draw();
+        });
+    }
+
+    /**
+     * @private
+     * @param {HTMLCanvasElement} canvas
+     * @param {MouseEvent} event
+     * @returns {{x: number, y: number}} Position in canvas pixels
+     */
+    _canvasPoint(canvas, event) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * canvas.width / rect.width,
+            y: (event.clientY - rect.top) * canvas.height / rect.height
+        };
+    }
+
+    /**
+     * Redraw both views and the readout
+     */
+    draw() {
+        if (!this.map) return;
+        this._drawView(this.mapCanvas, this._mapImage);
+        if (this.source) {
+            this._drawView(this.sourceCanvas, this._sourceImage);
+        } else {
+            this.sourceCanvas.getContext('2d').clearRect(0, 0, this.sourceCanvas.width, this.sourceCanvas.height);
+        }
+        this._updateReadout();
+    }
+
+    /**
+     * Draw one image with the shared transform. The source is stretched over
+     * the map's pixel grid so both views line up even if their sizes differ.
+     * @private
+     * @param {HTMLCanvasElement} canvas
+     * @param {HTMLCanvasElement} image
+     */
+    _drawView(canvas, image) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = this.map;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.setTransform(this.zoom, 0, 0, this.zoom, this.panX, this.panY);
+        ctx.drawImage(image, 0, 0, width, height);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        if (this.zoom >= GRID_ZOOM) this._drawGrid(ctx, canvas);
+
+        if (this._hoverInMap()) {
+            ctx.strokeStyle = '#ffcc00';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(
+                this.panX + this.hover.x * this.zoom,
+                this.panY + this.hover.y * this.zoom,
+                Math.max(this.zoom, 3),
+                Math.max(this.zoom, 3)
+            );
+        }
+    }
+
+    /**
+     * Pixel boundaries over the visible part of the image
+     * @private
+     */
+    _drawGrid(ctx, canvas) {
+        const x0 = Math.max(0, Math.floor(-this.panX / this.zoom));
+        const y0 = Math.max(0, Math.floor(-this.panY / this.zoom));
+        const x1 = Math.min(this.map.width, Math.ceil((canvas.width - this.panX) / this.zoom));
+        const y1 = Math.min(this.map.height, Math.ceil((canvas.height - this.panY) / this.zoom));
+
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = x0; x <= x1; x++) {
+            const sx = Math.round(this.panX + x * this.zoom) + 0.5;
+            ctx.moveTo(sx, this.panY + y0 * this.zoom);
+            ctx.lineTo(sx, this.panY + y1 * this.zoom);
+        }
+        for (let y = y0; y <= y1; y++) {
+            const sy = Math.round(this.panY + y * this.zoom) + 0.5;
+            ctx.moveTo(this.panX + x0 * this.zoom, sy);
+            ctx.lineTo(this.panX + x1 * this.zoom, sy);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * @private
+     * @returns {boolean}
+     */
+    _hoverInMap() {
+        return !!this.hover && this.hover.x >= 0 && this.hover.y >= 0
+            && this.hover.x < this.map.width && this.hover.y < this.map.height;
+    }
+
+    /**
+     * @private
+     */
+    _updateReadout() {
+        if (!this._hoverInMap()) {
+            this.readout.textContent = `${this.mapType} ${this.map.width}×${this.map.height} · zoom ${this.zoom.toFixed(2)}×`
+                + '\nDrag to pan, scroll to zoom, double-click to fit';
+            return;
+        }
+
+        const { x, y } = this.hover;
+        const lines = [`Pixel (${x}, ${y}) · zoom ${this.zoom.toFixed(2)}×`];
+
+        const mapIndex = (y * this.map.width + x) * 4;
+        const m = this.map.data;
+        lines.push(`${this.mapType.padEnd(9)} RGBA ${formatRGBA(m, mapIndex)}`);
+
+        if (this.source) {
+            // Source pixel under the same point of the shared grid
+            const sx = Math.min(this.source.width - 1, Math.floor((x + 0.5) * this.source.width / this.map.width));
+            const sy = Math.min(this.source.height - 1, Math.floor((y + 0.5) * this.source.height / this.map.height));
+            lines.push(`${'source'.padEnd(9)} RGBA ${formatRGBA(this.source.data, (sy * this.source.width + sx) * 4)}`);
+        }
+
+        lines.push(...this._decode(x, y, mapIndex));
+        this.readout.textContent = lines.join('\n');
+    }
+
+    /**
+     * What the map pixel encodes
+     * @private
+     * @returns {Array<string>}
+     */
+    _decode(x, y, index) {
+        const data = this.map.data;
+
+        if (this.mapType === 'bump') {
+            const field = this.heightField;
+            const fromField = field && field.width === this.map.width && field.height === this.map.height;
+            const height = fromField ? field.data[y * field.width + x] : data[index] / 255;
+            return [`height    ${height.toFixed(5)}${fromField ? ' (float)' : ' (8-bit)'}`];
+        }
+
+        if (this.mapType === 'normal') {
+            const nx = data[index] / 255 * 2 - 1;
+            const ny = data[index + 1] / 255 * 2 - 1;
+            const nz = data[index + 2] / 255 * 2 - 1;
+            const length = Math.hypot(nx, ny, nz);
+            const convention = this.normalConvention === 'directx' ? 'DirectX, Y-' : 'OpenGL, Y+';
+            return [
+                `normal    (${nx.toFixed(3)}, ${ny.toFixed(3)}, ${nz.toFixed(3)}) [${convention}]`,
+                `length    ${length.toFixed(4)}`
+            ];
+        }
+
+        if (GRAYSCALE_MAPS[this.mapType]) {
+            return [`${GRAYSCALE_MAPS[this.mapType].padEnd(9)} ${(data[index] / 255).toFixed(4)}`];
+        }
+
+        return [];
+    }
+}
+
+/**
+ * @param {Uint8ClampedArray} data
+ * @param {number} index - Offset of the pixel's red byte
+ * @returns {string}
+ */
+function formatRGBA(data, index) {
+    return [0, 1, 2, 3].map(c => String(data[index + c]).padStart(3)).join(' ');
+}
@@ -8,13 +8,73 @@ export class StateManager {
                 heightScale: 1.0,
                 bumpScale: 0.1,
                 threshold: 0.1,
+                signed: false,
+                invert: false,
+                pyramid: false,
+                bandCount: 3,
+                baseSigma: 1.0,
+                sigmaRatio: 2.0,
+                bandWeights: [1.0, 1.0, 1.0],
                 ...initialState.bumpOptions
             },
+            displacementOptions: {
+                scale: 0.2,
+                midlevel: 0.5,      // Bump level that stays flat (0.5 ≈ grey 128)
+                segments: 32,       // Plane subdivisions per side
+                ...initialState.displacementOptions
+            },
+            tilingOptions: {
+                tileable: false,    // Wrap blurs, gradients and AO around the edges
+                seamRemoval: false, // Offset and cross-fade the source before processing
+                seamWidth: 0.15,    // Cross-fade band as a fraction of the image size
+                ...initialState.tilingOptions
+            },
+            preview: {
+                repeatX: 1,         // Map repeats across the mesh (texture.repeat)
+                repeatY: 1,
+                offsetX: 0,         // UV offset (texture.offset)
+                offsetY: 0,
+                uvChecker: false,   // Lay a UV checker over the material
+                geometry: 'plane',  // Options: 'plane', 'sphere', 'cube', 'cylinder', 'torusKnot', 'roundedBox', 'custom'
+                modelName: null,    // File name of the uploaded model when geometry is 'custom'
+                ...initialState.preview
+            },
+            lighting: {
+                environment: 'room',        // Options: 'none', 'room', 'softbox', 'overcast', 'sunset', 'custom'
+                environmentName: null,      // File name of the loaded HDRI when environment is 'custom'
+                environmentIntensity: 1.0,
+                environmentRotation: 0,     // Degrees around the vertical axis
+                showBackground: false,      // Show the environment behind the mesh
+                ambientColor: 0x404040,
+                ambientIntensity: 1.0,
+                // Azimuth around the plane normal and elevation above the surface, in degrees
+                lights: [
+                    { type: 'directional', color: 0xffffff, intensity: 1.0, azimuth: 45, elevation: 35 }
+                ],
+                ...initialState.lighting
+            },
+            compare: {
+                mode: 'wipe',       // Options: 'wipe' (one view split by a line), 'split' (side by side)
+                position: 0.5,      // Wipe line position across the view (0..1)
+                swapped: false,     // Show the snapshot on the right instead of the left
+                ...initialState.compare
+            },
             normalOptions: {
                 strength: 1.0,
                 normalScale: 1.0,
+                convention: 'opengl', // Green channel: 'opengl' (Y+) or 'directx' (Y-)
+                gradientType: 'central', // Options: 'central', 'sobel', 'prewitt', 'scharr', 'sobel5', 'gaussian'
+                gradientSigma: 1.0,  // Derivative-of-Gaussian sigma in pixels
                 ...initialState.normalOptions
             },
+            aoOptions: {
+                radius: 8,
+                samples: 8,
+                heightScale: 10,
+                strength: 1.0,
+                intensity: 1.0,
+                ...initialState.aoOptions
+            },
             albedoOptions: {
                 brightness: 1.0,
                 contrast: 1.0,
@@ -29,17 +89,48 @@ export class StateManager {
                 intensity: 1.0,
                 ...initialState.emissionOptions
             },
+            roughnessOptions: {
+                mode: 'variance',   // Options: 'variance', 'luminance', 'dog'
+                radius: 2,
+                levelsLow: 0.0,
+                levelsHigh: 1.0,
+                gamma: 1.0,
+                invert: false,
+                ...initialState.roughnessOptions
+            },
+            metalnessOptions: {
+                mode: 'color',      // Options: 'color', 'hue', 'luminance'
+                color: 0xd4af37,
+                hueMin: 35,
+                hueMax: 60,
+                threshold: 0.7,
+                tolerance: 0.15,
+                feather: 0.1,
+                invert: false,
+                ...initialState.metalnessOptions
+            },
+            exportOptions: {
+                format: 'png',      // Options: 'png', 'jpeg', 'webp'
+                quality: 0.92,      // JPEG/WebP quality (0..1)
+                scale: 1,           // Output resolution multiplier
+                height16: true,     // Write the bump map as a 16-bit grayscale PNG
+                exrCompression: 'zip', // Options: 'none', 'zips', 'zip'
+                enginePreset: 'unity', // Key of ENGINE_PRESETS
+                ...initialState.exportOptions
+            },
             // new visualization state
             visualization: {
-                activeMap: 'material',  // Options: 'material', 'bump', 'normal', 'albedo', 'emission'
+                activeMap: 'material',  // Options: 'material', 'bump', 'normal', 'albedo', 'emission', 'roughness', 'metalness', 'ao'
                 ...initialState.visualization
             },            
             flags: {
                 useNormalMap: true,
                 useAlbedoMap: true,
                 useEmissionMap: true,
-                processingInProgress: false,
-                pendingUpdate: false,
+                useRoughnessMap: true,
+                useMetalnessMap: true,
+                useAOMap: true,
+                useDisplacementMap: false,
                 ...initialState.flags
             },
             resources: {
@@ -52,12 +143,16 @@ export class StateManager {
                 normalTexture: null,
                 albedoTexture: null,
                 emissionTexture: null,
+                roughnessTexture: null,
+                metalnessTexture: null,
+                aoTexture: null,
                 ...initialState.textures
             }
         };
         
         this.listeners = {};
         this.sectionListeners = {};  // For subscribing to specific sections
+        this.listenerCount = 0;      // Keeps ids unique when several subscribe in the same millisecond
     }
     
     // Get a copy of current state or a section of it
@@ -125,11 +220,64 @@ export class StateManager {
                 sigma2: 2.0,
                 heightScale: 1.0,
                 bumpScale: 0.1,
-                threshold: 0.1
+                threshold: 0.1,
+                signed: false,
+                invert: false,
+                pyramid: false,
+                bandCount: 3,
+                baseSigma: 1.0,
+                sigmaRatio: 2.0,
+                bandWeights: [1.0, 1.0, 1.0]
+            },
+            displacementOptions: {
+                scale: 0.2,
+                midlevel: 0.5,
+                segments: 32
+            },
+            tilingOptions: {
+                tileable: false,
+                seamRemoval: false,
+                seamWidth: 0.15
+            },
+            preview: {
+                repeatX: 1,
+                repeatY: 1,
+                offsetX: 0,
+                offsetY: 0,
+                uvChecker: false,
+                geometry: 'plane',
+                modelName: null
+            },
+            lighting: {
+                environment: 'room',
+                environmentName: null,
+                environmentIntensity: 1.0,
+                environmentRotation: 0,
+                showBackground: false,
+                ambientColor: 0x404040,
+                ambientIntensity: 1.0,
+                lights: [
+                    { type: 'directional', color: 0xffffff, intensity: 1.0, azimuth: 45, elevation: 35 }
+                ]
+            },
+            compare: {
+                mode: 'wipe',
+                position: 0.5,
+                swapped: false
             },
             normalOptions: {
                 strength: 1.0,
-                normalScale: 1.0
+                normalScale: 1.0,
+                convention: 'opengl',
+                gradientType: 'central',
+                gradientSigma: 1.0
+            },
+            aoOptions: {
+                radius: 8,
+                samples: 8,
+                heightScale: 10,
+                strength: 1.0,
+                intensity: 1.0
             },
             albedoOptions: {
                 brightness: 1.0,
@@ -143,6 +291,32 @@ export class StateManager {
                 color: 0xaaaaaa,
                 intensity: 1.0
             },
+            roughnessOptions: {
+                mode: 'variance',
+                radius: 2,
+                levelsLow: 0.0,
+                levelsHigh: 1.0,
+                gamma: 1.0,
+                invert: false
+            },
+            metalnessOptions: {
+                mode: 'color',
+                color: 0xd4af37,
+                hueMin: 35,
+                hueMax: 60,
+                threshold: 0.7,
+                tolerance: 0.15,
+                feather: 0.1,
+                invert: false
+            },
+            exportOptions: {
+                format: 'png',
+                quality: 0.92,
+                scale: 1,
+                height16: true,
+                exrCompression: 'zip',
+                enginePreset: 'unity'
+            },
             // Add visualization to default state
             visualization: {
                 activeMap: 'material'  // Default to material view
@@ -151,8 +325,10 @@ export class StateManager {
                 useNormalMap: true,
                 useAlbedoMap: true,
                 useEmissionMap: true,
-                processingInProgress: false,
-                pendingUpdate: false
+                useRoughnessMap: true,
+                useMetalnessMap: true,
+                useAOMap: true,
+                useDisplacementMap: false
             },
             resources: {
                 imageUrl: null,
@@ -162,14 +338,17 @@ export class StateManager {
                 bumpTexture: null,
                 normalTexture: null,
                 albedoTexture: null,
-                emissionTexture: null
+                emissionTexture: null,
+                roughnessTexture: null,
+                metalnessTexture: null,
+                aoTexture: null
             }
         };
     }
     
     // Subscribe to all state changes
     subscribe(callback) {
-        const id = `global_${Date.now().toString()}`;
+        const id = `global_${Date.now().toString()}_${this.listenerCount++}`;
         this.listeners[id] = callback;
         return id;
     }
@@ -179,7 +358,7 @@ export class StateManager {
         if (!this.sectionListeners[section]) {
             this.sectionListeners[section] = {};
         }
-        const id = `${section}_${Date.now().toString()}`;
+        const id = `${section}_${Date.now().toString()}_${this.listenerCount++}`;
         this.sectionListeners[section][id] = callback;
         return id;
     }
@@ -1,4 +1,36 @@
 import * as THREE from 'three';
+import { sourceImageCache } from './js/sourceImageCache.js';
+import { ZipWriter } from './js/zipWriter.js';
+import { encodeGray16PNG, encodeRGBA8PNG, resampleHeightField, resampleImageData } from './js/pngWriter.js';
+import { encodeEXR } from './js/exrWriter.js';
+import { ENGINE_PRESETS, buildPresetFiles } from './js/exportPresets.js';
+import { PREVIEW_GEOMETRIES, MODEL_FILE_EXTENSIONS } from './js/previewGeometry.js';
+import { ENVIRONMENT_PRESETS, ENVIRONMENT_FILE_EXTENSIONS, NEW_LIGHT_DEFAULTS } from './js/lighting.js';
+import { LightDirectionPad } from './lightDirectionPad.js';
+import { CompareOverlay, describeOptionChanges } from './compareOverlay.js';
+import { PixelInspector } from './pixelInspector.js';
+import { HistogramPanel } from './histogramPanel.js';
+
+// Image formats offered for map export
+const EXPORT_FORMATS = {
+    png:  { mime: 'image/png',  extension: 'png' },
+    jpeg: { mime: 'image/jpeg', extension: 'jpg' },
+    webp: { mime: 'image/webp', extension: 'webp' },
+    exr:  { mime: 'image/x-exr', extension: 'exr' }
+};
+
+// Maps holding sRGB colors; linearized when written to EXR
+const COLOR_MAP_KEYS = ['albedoTexture', 'emissionTexture'];
+
+// Flag that enables each map; the bump map has none and is always generated
+const MAP_FLAGS = {
+    normalTexture: 'useNormalMap',
+    aoTexture: 'useAOMap',
+    albedoTexture: 'useAlbedoMap',
+    emissionTexture: 'useEmissionMap',
+    roughnessTexture: 'useRoughnessMap',
+    metalnessTexture: 'useMetalnessMap'
+};
 
 export class UserInterface {
     constructor(stateManager, callbacks) {
@@ -8,6 +40,12 @@ export class UserInterface {
         this.setupMapSelection(); // Add this line
         this.updateImagePreview();
         this.setupDownloadButtons();
+        this.setupExportControls();
+        this.setupPreviewGeometryControls();
+        this.setupLightingControls();
+        this.setupCompareControls();
+        this.setupPixelInspector();
+        this.setupHistogramPanel();
     }
 
     // Add new method for map selection
@@ -51,19 +89,25 @@ export class UserInterface {
     updateControlPanelVisibility(mode) {
         // Map of control panels by visualization mode
         const panels = {
-            'material': ['normal-controls', 'albedo-controls', 'emission-controls'],
+            'material': ['normal-controls', 'ao-controls', 'albedo-controls', 'emission-controls', 'roughness-controls', 'metalness-controls'],
             'bump': ['controls'],
             'normal': ['normal-controls'],
+            'ao': ['ao-controls'],
             'albedo': ['albedo-controls'],
-            'emission': ['emission-controls']
+            'emission': ['emission-controls'],
+            'roughness': ['roughness-controls'],
+            'metalness': ['metalness-controls']
         };
         
         // Hide all control panels first
         const allPanels = [
             'controls', 
             'normal-controls', 
+            'ao-controls',
             'albedo-controls', 
-            'emission-controls'
+            'emission-controls',
+            'roughness-controls',
+            'metalness-controls'
         ];
         
         allPanels.forEach(panelId => {
@@ -83,6 +127,61 @@ export class UserInterface {
         });
     }
 
+    // Show pyramid controls when enabled and build one weight slider per band
+    updatePyramidControls() {
+        const bumpOptions = this.stateManager.getState('bumpOptions');
+        const pyramidPanel = document.getElementById('pyramid-controls');
+        const container = document.getElementById('bandWeights');
+        if (!pyramidPanel || !container) return;
+
+        pyramidPanel.style.display = bumpOptions.pyramid ? 'block' : 'none';
+
+        const bandCount = Math.max(1, Math.round(bumpOptions.bandCount) || 1);
+        const weights = bumpOptions.bandWeights || [];
+        container.innerHTML = '';
+
+        for (let band = 0; band < bandCount; band++) {
+            const weight = weights[band] ?? 1.0;
+            const control = document.createElement('div');
+            control.className = 'control';
+
+            const label = document.createElement('label');
+            label.htmlFor = `bandWeight${band}`;
+            label.textContent = `Band ${band + 1} Weight: `;
+            const valueDisplay = document.createElement('span');
+            valueDisplay.textContent = weight;
+            label.appendChild(valueDisplay);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.id = `bandWeight${band}`;
+            slider.min = '0';
+            slider.max = '2';
+            slider.step = '0.05';
+            slider.value = weight;
+
+            slider.addEventListener('input', () => {
+                const v = parseFloat(slider.value) || 0;
+                valueDisplay.textContent = v;
+
+                // Replace the array so the state change is detected
+                const current = this.stateManager.getState('bumpOptions').bandWeights || [];
+                const bandWeights = Array.from({ length: bandCount }, (_, i) => current[i] ?? 1.0);
+                bandWeights[band] = v;
+                this.stateManager.updateState({
+                    bumpOptions: { bandWeights }
+                });
+            });
+            slider.addEventListener('change', () => {
+                if (this.callbacks.debouncedApplyMaps) this.callbacks.debouncedApplyMaps();
+            });
+
+            control.appendChild(label);
+            control.appendChild(slider);
+            container.appendChild(control);
+        }
+    }
+
     // File input handler
     handleFileSelect(event) {
         const file = event.target.files[0];
@@ -101,6 +200,9 @@ export class UserInterface {
             URL.revokeObjectURL(currentImageUrl);
         }
         
+        // The decoded pixels belong to the old image
+        sourceImageCache.invalidate();
+        
         // Update state with new image URL
         this.stateManager.updateState({
             resources: { 
@@ -130,8 +232,8 @@ export class UserInterface {
         }
     }
 
-    // Loading indicator
-    showLoadingIndicator(show) {
+    // Loading indicator, with an optional status message
+    showLoadingIndicator(show, message = 'Processing...') {
         const loadingElement = document.getElementById('loading-indicator');
         if (!loadingElement) {
             if (show) {
@@ -145,11 +247,12 @@ export class UserInterface {
                 loader.style.padding = '8px 15px';
                 loader.style.borderRadius = '4px';
                 loader.style.zIndex = '1000';
-                loader.textContent = 'Processing...';
+                loader.textContent = message;
                 document.body.appendChild(loader);
             }
         } else {
             loadingElement.style.display = show ? 'block' : 'none';
+            if (show) loadingElement.textContent = message;
         }
     }
 
@@ -164,8 +267,11 @@ export class UserInterface {
         const downloadButtons = {
             'download-bump': 'bumpTexture',
             'download-normal': 'normalTexture',
+            'download-ao': 'aoTexture',
             'download-albedo': 'albedoTexture',
-            'download-emission': 'emissionTexture'
+            'download-emission': 'emissionTexture',
+            'download-roughness': 'roughnessTexture',
+            'download-metalness': 'metalnessTexture'
         };
 
         // Add event listeners to each download button
@@ -177,97 +283,878 @@ export class UserInterface {
                 });
             }
         });
+
+        const exportGLBButton = document.getElementById('export-glb');
+        if (exportGLBButton) {
+            exportGLBButton.addEventListener('click', () => {
+                this.exportGLB();
+            });
+        }
+
+        const exportAllButton = document.getElementById('export-all');
+        if (exportAllButton) {
+            exportAllButton.addEventListener('click', () => {
+                this.exportAllMaps();
+            });
+        }
+
+        const exportPresetButton = document.getElementById('export-preset');
+        if (exportPresetButton) {
+            exportPresetButton.addEventListener('click', () => {
+                this.exportEnginePreset();
+            });
+        }
     }
 
-    // Download texture as image
-    downloadTexture(textureKey) {
-        const textures = this.stateManager.getState('textures');
-        const texture = textures[textureKey];
-        
-        if (!texture) {
-            this.showErrorMessage(`No ${textureKey.replace('Texture', '')} available for download`);
+    // Export format, quality and resolution controls
+    setupExportControls() {
+        const exportOptions = this.stateManager.getState('exportOptions');
+        const formatSelect = document.getElementById('exportFormat');
+        const qualitySlider = document.getElementById('exportQuality');
+        const qualityValue = document.getElementById('exportQualityValue');
+        const scaleSelect = document.getElementById('exportScale');
+        const height16Checkbox = document.getElementById('exportHeight16');
+        const exrCompressionSelect = document.getElementById('exportExrCompression');
+        const presetSelect = document.getElementById('exportEnginePreset');
+
+        // Quality only applies to the lossy formats, 16-bit heights only to PNG
+        const updateQualityEnabled = () => {
+            const format = formatSelect?.value;
+            if (qualitySlider) qualitySlider.disabled = format === 'png' || format === 'exr';
+            if (height16Checkbox) height16Checkbox.disabled = format !== 'png';
+            if (exrCompressionSelect) exrCompressionSelect.disabled = format !== 'exr';
+        };
+
+        if (formatSelect) {
+            formatSelect.value = exportOptions.format;
+            formatSelect.addEventListener('change', () => {
+                this.stateManager.updateState({ exportOptions: { format: formatSelect.value } });
+                updateQualityEnabled();
+            });
+        }
+
+        if (qualitySlider && qualityValue) {
+            qualitySlider.value = exportOptions.quality;
+            qualityValue.textContent = exportOptions.quality;
+            qualitySlider.addEventListener('input', () => {
+                const quality = parseFloat(qualitySlider.value) || 0;
+                qualityValue.textContent = quality;
+                this.stateManager.updateState({ exportOptions: { quality } });
+            });
+        }
+
+        if (scaleSelect) {
+            scaleSelect.value = String(exportOptions.scale);
+            scaleSelect.addEventListener('change', () => {
+                this.stateManager.updateState({ exportOptions: { scale: parseFloat(scaleSelect.value) || 1 } });
+            });
+        }
+
+        if (height16Checkbox) {
+            height16Checkbox.checked = exportOptions.height16;
+            height16Checkbox.addEventListener('change', () => {
+                this.stateManager.updateState({ exportOptions: { height16: height16Checkbox.checked } });
+            });
+        }
+
+        if (exrCompressionSelect) {
+            exrCompressionSelect.value = exportOptions.exrCompression;
+            exrCompressionSelect.addEventListener('change', () => {
+                this.stateManager.updateState({ exportOptions: { exrCompression: exrCompressionSelect.value } });
+            });
+        }
+
+        if (presetSelect) {
+            Object.entries(ENGINE_PRESETS).forEach(([id, preset]) => {
+                presetSelect.add(new Option(preset.label, id));
+            });
+            presetSelect.value = exportOptions.enginePreset;
+            presetSelect.addEventListener('change', () => {
+                this.stateManager.updateState({ exportOptions: { enginePreset: presetSelect.value } });
+            });
+        }
+
+        updateQualityEnabled();
+    }
+
+    // Preview mesh selector and model upload
+    setupPreviewGeometryControls() {
+        const geometrySelect = document.getElementById('previewGeometry');
+        const modelInput = document.getElementById('modelFile');
+        const modelName = document.getElementById('modelName');
+
+        const updateModelName = () => {
+            const preview = this.stateManager.getState('preview');
+            if (modelName) modelName.textContent = preview.geometry === 'custom' ? preview.modelName || '' : '';
+        };
+
+        if (geometrySelect) {
+            Object.entries(PREVIEW_GEOMETRIES).forEach(([id, geometry]) => {
+                geometrySelect.add(new Option(geometry.label, id));
+            });
+            // 'custom' can only be picked by uploading a model
+            geometrySelect.querySelector('option[value="custom"]').disabled = true;
+            geometrySelect.value = this.stateManager.getState('preview').geometry;
+            geometrySelect.addEventListener('change', () => {
+                this.stateManager.updateState({ preview: { geometry: geometrySelect.value } });
+            });
+            this.stateManager.subscribeToSection('preview', (changes) => {
+                if (changes.some(change => change.key === 'geometry' || change.key === 'modelName')) {
+                    const preview = this.stateManager.getState('preview');
+                    geometrySelect.querySelector('option[value="custom"]').disabled = !preview.modelName;
+                    geometrySelect.value = preview.geometry;
+                    updateModelName();
+                }
+            });
+        }
+
+        if (modelInput) {
+            modelInput.accept = MODEL_FILE_EXTENSIONS.join(',');
+            modelInput.addEventListener('change', async (event) => {
+                const file = event.target.files[0];
+                if (!file || !this.callbacks.loadPreviewModel) return;
+                try {
+                    await this.callbacks.loadPreviewModel(file);
+                } catch (error) {
+                    console.error('Failed to load model:', error);
+                    alert(`Could not load ${file.name}: ${error.message}`);
+                }
+                // Allow picking the same file again
+                modelInput.value = '';
+            });
+        }
+
+        updateModelName();
+    }
+
+    // Environment controls and the light rig editor
+    setupLightingControls() {
+        const lighting = this.stateManager.getState('lighting');
+        const environmentSelect = document.getElementById('environmentPreset');
+        const environmentInput = document.getElementById('environmentFile');
+        const environmentName = document.getElementById('environmentName');
+        const padCanvas = document.getElementById('lightDirectionPad');
+
+        const updateLighting = (changes) => this.stateManager.updateState({ lighting: changes });
+        const bindSlider = (id, key) => {
+            const slider = document.getElementById(id);
+            const valueDisplay = document.getElementById(`${id}Value`);
+            if (!slider || !valueDisplay) return;
+            slider.value = lighting[key];
+            valueDisplay.textContent = lighting[key];
+            slider.addEventListener('input', () => {
+                const v = parseFloat(slider.value) || 0;
+                valueDisplay.textContent = v;
+                updateLighting({ [key]: v });
+            });
+        };
+
+        if (environmentSelect) {
+            Object.entries(ENVIRONMENT_PRESETS).forEach(([id, preset]) => {
+                environmentSelect.add(new Option(preset.label, id));
+            });
+            // 'custom' can only be picked by loading a file
+            environmentSelect.querySelector('option[value="custom"]').disabled = !lighting.environmentName;
+            environmentSelect.value = lighting.environment;
+            environmentSelect.addEventListener('change', () => {
+                updateLighting({ environment: environmentSelect.value });
+            });
+        }
+
+        if (environmentInput) {
+            environmentInput.accept = ENVIRONMENT_FILE_EXTENSIONS.join(',');
+            environmentInput.addEventListener('change', async (event) => {
+                const file = event.target.files[0];
+                if (!file || !this.callbacks.loadPreviewEnvironment) return;
+                try {
+                    await this.callbacks.loadPreviewEnvironment(file);
+                } catch (error) {
+                    console.error('Failed to load environment:', error);
+                    alert(`Could not load ${file.name}: ${error.message}`);
+                }
+                environmentInput.value = '';
+            });
+        }
+
+        bindSlider('environmentIntensity', 'environmentIntensity');
+        bindSlider('environmentRotation', 'environmentRotation');
+        bindSlider('ambientIntensity', 'ambientIntensity');
+
+        const backgroundCheckbox = document.getElementById('showEnvironmentBackground');
+        if (backgroundCheckbox) {
+            backgroundCheckbox.checked = !!lighting.showBackground;
+            backgroundCheckbox.addEventListener('change', () => {
+                updateLighting({ showBackground: backgroundCheckbox.checked });
+            });
+        }
+
+        const ambientColorPicker = document.getElementById('ambientColor');
+        if (ambientColorPicker) {
+            ambientColorPicker.value = '#' + new THREE.Color(lighting.ambientColor).getHexString();
+            ambientColorPicker.addEventListener('input', () => {
+                updateLighting({ ambientColor: new THREE.Color(ambientColorPicker.value).getHex() });
+            });
+        }
+
+        // Light the direction pad edits
+        this.selectedLight = 0;
+        if (padCanvas) {
+            this.lightDirectionPad = new LightDirectionPad(padCanvas, (azimuth, elevation) => {
+                this.updateLight(this.selectedLight, { azimuth, elevation });
+            });
+        }
+
+        const addLight = (type) => {
+            const lights = this.stateManager.getState('lighting').lights || [];
+            this.selectedLight = lights.length;
+            updateLighting({ lights: [...lights, { ...NEW_LIGHT_DEFAULTS[type] }] });
+        };
+        const addDirectional = document.getElementById('addDirectionalLight');
+        const addPoint = document.getElementById('addPointLight');
+        if (addDirectional) addDirectional.addEventListener('click', () => addLight('directional'));
+        if (addPoint) addPoint.addEventListener('click', () => addLight('point'));
+
+        this.stateManager.subscribeToSection('lighting', (changes) => {
+            const current = this.stateManager.getState('lighting');
+            if (changes.some(change => change.key === 'environment' || change.key === 'environmentName')) {
+                if (environmentSelect) {
+                    environmentSelect.querySelector('option[value="custom"]').disabled = !current.environmentName;
+                    environmentSelect.value = current.environment;
+                }
+                if (environmentName) environmentName.textContent = current.environment === 'custom' ? current.environmentName || '' : '';
+            }
+            if (changes.some(change => change.key === 'lights')) {
+                this.updateLightControls();
+            }
+        });
+
+        if (environmentName) environmentName.textContent = lighting.environment === 'custom' ? lighting.environmentName || '' : '';
+        this.updateLightControls();
+    }
+
+    // A/B snapshot buttons, compare mode and the list of changed options
+    setupCompareControls() {
+        const snapshotButton = document.getElementById('compareSnapshot');
+        const clearButton = document.getElementById('compareClear');
+        const swapButton = document.getElementById('compareSwap');
+        const modeSelect = document.getElementById('compareMode');
+        const overlayContainer = document.getElementById('compare-overlay');
+
+        // Options held with the snapshot, or null without one
+        this.compareOptions = null;
+        this.compareOverlay = overlayContainer ? new CompareOverlay(this.stateManager, overlayContainer) : null;
+
+        const setSnapshot = (options) => {
+            this.compareOptions = options;
+            if (this.compareOverlay) this.compareOverlay.setActive(!!options);
+            if (clearButton) clearButton.disabled = !options;
+            if (swapButton) swapButton.disabled = !options;
+            this.updateCompareChanges();
+        };
+
+        if (snapshotButton) snapshotButton.addEventListener('click', () => {
+            if (this.callbacks.takeCompareSnapshot) setSnapshot(this.callbacks.takeCompareSnapshot());
+        });
+        if (clearButton) clearButton.addEventListener('click', () => {
+            if (this.callbacks.clearCompareSnapshot) this.callbacks.clearCompareSnapshot();
+            setSnapshot(null);
+        });
+        if (swapButton) swapButton.addEventListener('click', () => this.swapCompareSides());
+
+        if (modeSelect) {
+            modeSelect.value = this.stateManager.getState('compare').mode;
+            modeSelect.addEventListener('change', () => {
+                this.stateManager.updateState({ compare: { mode: modeSelect.value } });
+            });
+        }
+
+        this.stateManager.subscribe(() => {
+            if (this.compareOptions) this.updateCompareChanges();
+        });
+        setSnapshot(null);
+    }
+
+    // 2D inspector for the generated maps
+    setupPixelInspector() {
+        const container = document.getElementById('pixel-inspector');
+        const openButton = document.getElementById('openPixelInspector');
+        const closeButton = document.getElementById('closePixelInspector');
+        const mapSelect = document.getElementById('inspectorMap');
+        if (!container) return;
+
+        this.pixelInspector = new PixelInspector(container);
+        const inspectedMap = () => (mapSelect ? mapSelect.value : 'bump');
+
+        if (openButton) openButton.addEventListener('click', () => {
+            // Start with the map the viewer shows
+            const activeMap = this.stateManager.getState('visualization').activeMap;
+            if (mapSelect && activeMap !== 'material') mapSelect.value = activeMap;
+            this.openPixelInspector(inspectedMap());
+        });
+        if (closeButton) closeButton.addEventListener('click', () => this.pixelInspector.close());
+        if (mapSelect) mapSelect.addEventListener('change', () => this.openPixelInspector(inspectedMap()));
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.pixelInspector.isOpen()) this.pixelInspector.close();
+        });
+
+        // Follow regenerated maps while open
+        this.stateManager.subscribeToSection('textures', (changes) => {
+            if (!this.pixelInspector.isOpen()) return;
+            if (changes.some(change => change.key === `${inspectedMap()}Texture`)) {
+                this.openPixelInspector(inspectedMap());
+            }
+        });
+    }
+
+    // Show one generated map and the source image in the inspector
+    async openPixelInspector(mapType) {
+        const state = this.stateManager.getState();
+        const texture = state.textures[`${mapType}Texture`];
+        if (!texture || !texture.image) {
+            alert(`No ${mapType} map has been generated`);
             return;
         }
 
-        // Get original filename as base for download
-        const originalFileName = this.stateManager.getState('resources').originalFileName || 'texture';
-        const baseName = originalFileName.split('.')[0];
-        
-        // Determine map type suffix
-        const mapType = textureKey.replace('Texture', '');
-        const fileName = `${baseName}_${mapType}.png`;
+        let source = null;
+        try {
+            source = await sourceImageCache.getImageData(state.resources.imageUrl);
+        } catch (error) {
+            console.warn('[PixelInspector] Source image unavailable:', error);
+        }
+
+        this.pixelInspector.open({
+            map: this.textureToImageData(texture),
+            mapType,
+            source,
+            heightField: texture.userData.heightField || null,
+            normalConvention: state.normalOptions.convention
+        });
+    }
+
+    // Histogram and statistics of the selected map
+    setupHistogramPanel() {
+        const canvas = document.getElementById('histogramCanvas');
+        const stats = document.getElementById('histogramStats');
+        const mapSelect = document.getElementById('histogramMap');
+        if (!canvas || !stats || !mapSelect) return;
+
+        this.histogramPanel = new HistogramPanel(this.stateManager, { canvas, stats, mapSelect }, async (mapType) => {
+            const state = this.stateManager.getState();
+            if (mapType === 'source') {
+                try {
+                    return await sourceImageCache.getImageData(state.resources.imageUrl);
+                } catch (error) {
+                    return null;
+                }
+            }
+            const texture = state.textures[`${mapType}Texture`];
+            return texture && texture.image ? this.textureToImageData(texture) : null;
+        });
+
+        // Show the map the viewer shows
+        this.stateManager.subscribeToSection('visualization', (changes, visualization) => {
+            if (visualization.activeMap !== 'material' && mapSelect.value !== visualization.activeMap) {
+                mapSelect.value = visualization.activeMap;
+                this.histogramPanel.update();
+            }
+        });
+    }
+
+    // Refresh the histogram once a map generation run finished
+    updateMapStatistics() {
+        if (this.histogramPanel) this.histogramPanel.update();
+    }
+
+    // Swap which side of the comparison shows the snapshot
+    swapCompareSides() {
+        if (!this.compareOptions) return;
+        const { swapped } = this.stateManager.getState('compare');
+        this.stateManager.updateState({ compare: { swapped: !swapped } });
+    }
+
+    // List the options changed since the snapshot
+    updateCompareChanges() {
+        const list = document.getElementById('compareChanges');
+        if (!list) return;
+        if (!this.compareOptions) {
+            list.textContent = 'No snapshot';
+            return;
+        }
+        const changes = describeOptionChanges(this.compareOptions, this.stateManager.getState());
+        list.textContent = changes.length > 0 ? changes.join('\n') : 'No option changes since the snapshot';
+    }
+
+    // Replace one light in the rig (the lights array is replaced so the change is detected)
+    updateLight(index, changes) {
+        const lights = this.stateManager.getState('lighting').lights || [];
+        if (!lights[index]) return;
+        const updated = lights.map((light, i) => (i === index ? { ...light, ...changes } : light));
+        this.stateManager.updateState({ lighting: { lights: updated } });
+    }
+
+    // Build one row per rig light and refresh the direction pad
+    updateLightControls() {
+        const lights = this.stateManager.getState('lighting').lights || [];
+        this.selectedLight = Math.max(0, Math.min(this.selectedLight, lights.length - 1));
+        if (this.lightDirectionPad) this.lightDirectionPad.setLights(lights, this.selectedLight);
+
+        const container = document.getElementById('lightList');
+        if (!container) return;
+        // Rebuilding while one of the row inputs is in use would drop it, so
+        // only the labels are refreshed then
+        if (container.contains(document.activeElement) && container.childElementCount === lights.length) {
+            lights.forEach((light, index) => {
+                container.children[index].classList.toggle('selected', index === this.selectedLight);
+                const valueDisplay = container.querySelector(`#lightIntensity${index}Value`);
+                if (valueDisplay) valueDisplay.textContent = light.intensity;
+                const direction = container.querySelector(`#lightDirection${index}`);
+                if (direction) direction.textContent = `${light.azimuth}° / ${light.elevation}°`;
+            });
+            return;
+        }
+        container.innerHTML = '';
+
+        lights.forEach((light, index) => {
+            const row = document.createElement('div');
+            row.className = 'control light-row';
+            if (index === this.selectedLight) row.classList.add('selected');
+
+            const header = document.createElement('label');
+            const select = document.createElement('input');
+            select.type = 'radio';
+            select.name = 'selectedLight';
+            select.checked = index === this.selectedLight;
+            select.addEventListener('change', () => {
+                this.selectedLight = index;
+                this.updateLightControls();
+            });
+            header.appendChild(select);
+            header.appendChild(document.createTextNode(` ${light.type === 'point' ? 'Point' : 'Directional'} ${index + 1} `));
+            const direction = document.createElement('span');
+            direction.id = `lightDirection${index}`;
+            direction.textContent = `${light.azimuth}° / ${light.elevation}°`;
+            header.appendChild(direction);
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = '#' + new THREE.Color(light.color).getHexString();
+            color.addEventListener('input', () => {
+                this.updateLight(index, { color: new THREE.Color(color.value).getHex() });
+            });
+
+            const remove = document.createElement('button');
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => {
+                const current = this.stateManager.getState('lighting').lights || [];
+                this.stateManager.updateState({
+                    lighting: { lights: current.filter((_, i) => i !== index) }
+                });
+            });
+
+            const intensityLabel = document.createElement('label');
+            intensityLabel.htmlFor = `lightIntensity${index}`;
+            intensityLabel.textContent = 'Intensity: ';
+            const valueDisplay = document.createElement('span');
+            valueDisplay.id = `lightIntensity${index}Value`;
+            valueDisplay.textContent = light.intensity;
+            intensityLabel.appendChild(valueDisplay);
+
+            const intensity = document.createElement('input');
+            intensity.type = 'range';
+            intensity.id = `lightIntensity${index}`;
+            intensity.min = '0';
+            intensity.max = light.type === 'point' ? '50' : '5';
+            intensity.step = light.type === 'point' ? '0.5' : '0.05';
+            intensity.value = light.intensity;
+            intensity.addEventListener('input', () => {
+                this.updateLight(index, { intensity: parseFloat(intensity.value) || 0 });
+            });
+
+            row.appendChild(header);
+            row.appendChild(color);
+            row.appendChild(remove);
+            row.appendChild(intensityLabel);
+            row.appendChild(intensity);
+            container.appendChild(row);
+        });
+    }
+
+    // Generated maps whose flag is on, as [textureKey, texture] pairs. A disabled map
+    // keeps its last texture in state, but it is neither shown nor regenerated
+    getEnabledMapEntries(state) {
+        return Object.entries(state.textures).filter(([textureKey, texture]) => {
+            const flag = MAP_FLAGS[textureKey];
+            return texture && texture.image && (!flag || state.flags[flag]);
+        });
+    }
+
+    // Map types whose texture was built from other options than the current ones,
+    // i.e. a run is pending, in flight or failed since the options changed
+    getStaleMapTypes(mapEntries) {
+        if (!this.callbacks.getCurrentMapKeys) return [];
+        const currentKeys = this.callbacks.getCurrentMapKeys();
+        return mapEntries
+            .map(([textureKey, texture]) => [textureKey.replace('Texture', ''), texture])
+            .filter(([mapType, texture]) => texture.userData.stageKey !== currentKeys[mapType])
+            .map(([mapType]) => mapType);
+    }
+
+    // Package every enabled map and a manifest into one ZIP download
+    async exportAllMaps() {
+        const state = this.stateManager.getState();
+        const mapEntries = this.getEnabledMapEntries(state);
+
+        if (mapEntries.length === 0) {
+            this.showErrorMessage('No maps available for export');
+            return;
+        }
+
+        // The manifest records the current options, so every map must have been built from them
+        const staleMaps = this.getStaleMapTypes(mapEntries);
+        if (staleMaps.length > 0) {
+            this.showErrorMessage(`Maps are still being generated (${staleMaps.join(', ')}); export again once they are done`);
+            return;
+        }
+
+        const sourceFileName = this.getSourceFileName();
+        const baseName = sourceFileName.split('.')[0];
 
         try {
-            this.showLoadingIndicator(true);
-            this.textureToImage(texture, fileName);
+            this.showLoadingIndicator(true, 'Packaging maps...');
+            const zip = new ZipWriter();
+            const maps = [];
+
+            const exportOptions = this.stateManager.getState('exportOptions');
+            for (const [textureKey, texture] of mapEntries) {
+                const mapType = textureKey.replace('Texture', '');
+                const blob = await this.mapToBlob(textureKey, texture, exportOptions);
+                const fileName = `${baseName}_${mapType}.${UserInterface.extensionForBlob(blob)}`;
+                zip.addFile(fileName, await blob.arrayBuffer());
+                maps.push({
+                    type: mapType,
+                    file: fileName,
+                    width: Math.max(1, Math.round(texture.image.width * exportOptions.scale)),
+                    height: Math.max(1, Math.round(texture.image.height * exportOptions.scale)),
+                    optionsHash: texture.userData.stageKey
+                });
+            }
+
+            zip.addFile('manifest.json', JSON.stringify(this.buildExportManifest(sourceFileName, maps), null, 2));
+            this.downloadBlob(zip.toBlob(), `${baseName}_maps.zip`);
+            console.log(`Exported ${maps.length} maps to ${baseName}_maps.zip`);
         } catch (error) {
-            console.error(`Error downloading ${mapType} map:`, error);
-            this.showErrorMessage(`Failed to download ${mapType} map: ${error.message}`);
+            console.error('Error exporting maps:', error);
+            this.showErrorMessage(`Failed to export maps: ${error.message}`);
         } finally {
             this.showLoadingIndicator(false);
         }
     }
 
-    // Convert Three.js texture to downloadable image
-    textureToImage(texture, fileName) {
-        // Create a canvas element to draw the texture
-        const canvas = document.createElement('canvas');
-        const renderer = new THREE.WebGLRenderer({
-            canvas: canvas,
-            antialias: true,
-            preserveDrawingBuffer: true
+    // Repack the maps into the files and names an engine expects, as one ZIP download
+    async exportEnginePreset() {
+        const state = this.stateManager.getState();
+        const { enginePreset: presetId, ...exportOptions } = state.exportOptions;
+        const preset = ENGINE_PRESETS[presetId];
+
+        // Disabled maps are left out, so packed channels fall back to the values the viewer uses
+        const mapEntries = this.getEnabledMapEntries(state);
+        const textures = {};
+        const maps = {};
+        mapEntries.forEach(([textureKey, texture]) => {
+            const mapType = textureKey.replace('Texture', '');
+            textures[mapType] = { textureKey, texture };
+            maps[mapType] = this.textureToImageData(texture);
         });
-        
-        // Set canvas size to match texture
-        const width = texture.image ? texture.image.width : 1024;
-        const height = texture.image ? texture.image.height : 1024;
-        renderer.setSize(width, height);
-        
-        // Create a simple scene with a plane and the texture
-        const scene = new THREE.Scene();
-        const camera = new THREE.OrthographicCamera(-0.5, 0.5, 0.5, -0.5, 0.1, 10);
-        camera.position.z = 1;
-        
-        let material;
-        
-        // Handle different texture types
-        if (texture.isDataTexture) {
-            // For data textures, use RawShaderMaterial to display raw data
-            material = new THREE.MeshBasicMaterial({ map: texture });
+
+        if (!preset || mapEntries.length === 0) {
+            this.showErrorMessage('No maps available for export');
+            return;
+        }
+
+        const staleMaps = this.getStaleMapTypes(mapEntries);
+        if (staleMaps.length > 0) {
+            this.showErrorMessage(`Maps are still being generated (${staleMaps.join(', ')}); export again once they are done`);
+            return;
+        }
+
+        const sourceFileName = this.getSourceFileName();
+        const baseName = sourceFileName.split('.')[0];
+
+        try {
+            this.showLoadingIndicator(true, `Packaging maps for ${preset.label}...`);
+            const zip = new ZipWriter();
+            const files = [];
+
+            // Engines take PNG; the 16-bit height path still applies
+            const pngOptions = { ...exportOptions, format: 'png' };
+            const normalConvention = state.normalOptions.convention;
+            for (const file of buildPresetFiles(presetId, maps, baseName, { normalConvention })) {
+                let blob;
+                if (file.mapType) {
+                    const { textureKey, texture } = textures[file.mapType];
+                    blob = await this.mapToBlob(textureKey, texture, pngOptions);
+                } else {
+                    // Encoded from the pixels: a canvas would premultiply the packed alpha
+                    // channel (e.g. Unity's smoothness) into the channels beside it
+                    blob = await encodeRGBA8PNG(resampleImageData(file.imageData, pngOptions.scale));
+                }
+                zip.addFile(file.fileName, await blob.arrayBuffer());
+                files.push({ file: file.fileName, source: file.mapType || 'packed' });
+            }
+
+            const manifest = this.buildExportManifest(sourceFileName, files);
+            manifest.preset = { id: presetId, label: preset.label, normalConvention: preset.normalConvention };
+            zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+            this.downloadBlob(zip.toBlob(), `${baseName}_${presetId}.zip`);
+            console.log(`Exported ${files.length} files to ${baseName}_${presetId}.zip`);
+        } catch (error) {
+            console.error('Error exporting engine preset:', error);
+            this.showErrorMessage(`Failed to export for ${preset.label}: ${error.message}`);
+        } finally {
+            this.showLoadingIndicator(false);
+        }
+    }
+
+    // Save the previewed material as a binary glTF
+    async exportGLB() {
+        if (!this.callbacks.exportGLB) return;
+        const baseName = this.getSourceFileName().split('.')[0];
+
+        try {
+            this.showLoadingIndicator(true, 'Exporting GLB...');
+            const glb = await this.callbacks.exportGLB();
+            this.downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), `${baseName}.glb`);
+            console.log(`Downloaded ${baseName}.glb`);
+        } catch (error) {
+            console.error('Error exporting GLB:', error);
+            this.showErrorMessage(`Failed to export GLB: ${error.message}`);
+        } finally {
+            this.showLoadingIndicator(false);
+        }
+    }
+
+    // Describe an export: the source image, the maps and the options that produced them
+    buildExportManifest(sourceFileName, maps) {
+        const state = this.stateManager.getState();
+        const options = {};
+        Object.keys(state).forEach(section => {
+            if ((section.endsWith('Options') && section !== 'exportOptions') || section === 'flags') {
+                options[section] = JSON.parse(JSON.stringify(state[section]));
+            }
+        });
+
+        return {
+            generator: 'dogpda',
+            exportedAt: new Date().toISOString(),
+            source: { fileName: sourceFileName },
+            export: { ...state.exportOptions },
+            maps,
+            options
+        };
+    }
+
+    // Name of the source image: the uploaded file, or the last segment of its URL
+    getSourceFileName() {
+        const resources = this.stateManager.getState('resources');
+        if (resources.originalFileName) return resources.originalFileName;
+
+        const imageUrl = resources.imageUrl;
+        if (typeof imageUrl === 'string' && !imageUrl.startsWith('blob:')) {
+            const lastSegment = imageUrl.split(/[?#]/)[0].split('/').pop();
+            if (lastSegment) return decodeURIComponent(lastSegment);
+        }
+        return 'texture';
+    }
+
+    // Encode a map for export. EXR gets float data; maps that carry a float height
+    // field (the bump map) become 16-bit grayscale PNGs when PNG is chosen;
+    // everything else goes through the canvas.
+    mapToBlob(textureKey, texture, exportOptions = {}) {
+        const format = exportOptions.format || 'png';
+        if (format === 'exr') {
+            const image = this.mapToFloatImage(textureKey, texture, exportOptions.scale);
+            return encodeEXR(image, { compression: exportOptions.exrCompression });
+        }
+
+        const heightField = texture.userData?.heightField;
+        if (heightField && exportOptions.height16 && format === 'png') {
+            return encodeGray16PNG(resampleHeightField(heightField, exportOptions.scale));
+        }
+        return this.textureToBlob(texture, exportOptions);
+    }
+
+    // Float channels of a map for EXR export: the bump map's height field as Y, the
+    // normal map's unit vectors as computed by the worker (raw, in -1..1) as RGB,
+    // and the 8-bit pixels of every other map as RGB
+    mapToFloatImage(textureKey, texture, scale = 1) {
+        let image = null;
+
+        const heightField = texture.userData?.heightField;
+        const vectors = texture.userData?.vectors;
+        if (heightField) {
+            image = { width: heightField.width, height: heightField.height, channels: { Y: heightField.data } };
+        } else if (vectors) {
+            image = UserInterface.vectorsToFloatImage(vectors);
+        }
+
+        if (!image) {
+            const canvas = this.textureToCanvas(texture);
+            const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+            const linearize = COLOR_MAP_KEYS.includes(textureKey);
+            const channels = { R: new Float32Array(width * height), G: new Float32Array(width * height), B: new Float32Array(width * height) };
+            for (let p = 0, i = 0; p < width * height; p++, i += 4) {
+                ['R', 'G', 'B'].forEach((name, c) => {
+                    const value = data[i + c] / 255;
+                    channels[name][p] = linearize ? UserInterface.srgbToLinear(value) : value;
+                });
+            }
+            image = { width, height, channels };
+        }
+
+        if (!scale || scale === 1) return image;
+
+        const channels = {};
+        let resized = null;
+        Object.entries(image.channels).forEach(([name, plane]) => {
+            resized = resampleHeightField({ data: plane, width: image.width, height: image.height }, scale);
+            channels[name] = resized.data;
+        });
+        return { width: resized.width, height: resized.height, channels };
+    }
+
+    // Split interleaved xyz vectors into R, G and B float planes
+    static vectorsToFloatImage({ data: vectors, width, height }) {
+        const channels = { R: new Float32Array(width * height), G: new Float32Array(width * height), B: new Float32Array(width * height) };
+        for (let p = 0; p < width * height; p++) {
+            channels.R[p] = vectors[p * 3];
+            channels.G[p] = vectors[p * 3 + 1];
+            channels.B[p] = vectors[p * 3 + 2];
+        }
+        return { width, height, channels };
+    }
+
+    // sRGB transfer function, inverted
+    static srgbToLinear(value) {
+        return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    }
+
+    // Encode a texture's pixels as PNG, JPEG or WebP. At scale 1 the mapper's canvas
+    // is encoded as is, so lossless formats keep the generated values exactly.
+    textureToBlob(texture, exportOptions = {}) {
+        const canvas = this.scaleCanvas(this.textureToCanvas(texture), exportOptions.scale);
+        return this.canvasToBlob(canvas, exportOptions);
+    }
+
+    // Encode a canvas in the export format
+    canvasToBlob(canvas, exportOptions = {}) {
+        const { format = 'png', quality = 0.92 } = exportOptions;
+        const exportFormat = EXPORT_FORMATS[format] || EXPORT_FORMATS.png;
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (!blob) {
+                    reject(new Error(`Failed to encode texture as ${format}`));
+                    return;
+                }
+                // Browsers fall back to PNG for types they cannot encode
+                if (blob.type !== exportFormat.mime) {
+                    console.warn(`${exportFormat.mime} is not supported here, exported ${blob.type} instead`);
+                }
+                resolve(blob);
+            }, exportFormat.mime, quality);
+        });
+    }
+
+    // The canvas holding a texture's pixels; mapper textures are canvas backed already
+    textureToCanvas(texture) {
+        if (texture.image instanceof HTMLCanvasElement) {
+            return texture.image;
+        }
+
+        const canvas = document.createElement('canvas');
+        const imageData = texture.userData?.imageData;
+        if (imageData) {
+            canvas.width = imageData.width;
+            canvas.height = imageData.height;
+            canvas.getContext('2d').putImageData(imageData, 0, 0);
+        } else if (texture.image) {
+            canvas.width = texture.image.width;
+            canvas.height = texture.image.height;
+            canvas.getContext('2d').drawImage(texture.image, 0, 0);
         } else {
-            // For regular textures
-            material = new THREE.MeshBasicMaterial({ map: texture });
+            throw new Error('Texture has no pixel data');
         }
+        return canvas;
+    }
+
+    // A texture's pixels as ImageData
+    textureToImageData(texture) {
+        if (texture.userData?.imageData) return texture.userData.imageData;
+        const canvas = this.textureToCanvas(texture);
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    // Resample a canvas by a resolution multiplier (returns the same canvas at 1×)
+    scaleCanvas(canvas, scale) {
+        if (!scale || scale === 1) return canvas;
+
+        const scaled = document.createElement('canvas');
+        scaled.width = Math.max(1, Math.round(canvas.width * scale));
+        scaled.height = Math.max(1, Math.round(canvas.height * scale));
+        const ctx = scaled.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(canvas, 0, 0, scaled.width, scaled.height);
+        return scaled;
+    }
+
+    // File extension matching an encoded blob's actual type
+    static extensionForBlob(blob) {
+        const match = Object.values(EXPORT_FORMATS).find(exportFormat => exportFormat.mime === blob.type);
+        return match ? match.extension : 'png';
+    }
+
+    // Trigger a browser download for a blob
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // Give the browser a moment to start the download before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Download a single map in the chosen export format
+    async downloadTexture(textureKey) {
+        const textures = this.stateManager.getState('textures');
+        const texture = textures[textureKey];
         
-        const plane = new THREE.Mesh(
-            new THREE.PlaneGeometry(1, 1),
-            material
-        );
-        scene.add(plane);
-        
-        // Render the scene
-        renderer.render(scene, camera);
+        if (!texture) {
+            this.showErrorMessage(`No ${textureKey.replace('Texture', '')} available for download`);
+            return;
+        }
+
+        // Get original filename as base for download
+        const baseName = this.getSourceFileName().split('.')[0];
         
-        // Convert canvas to data URL and trigger download
+        // Determine map type suffix
+        const mapType = textureKey.replace('Texture', '');
+
         try {
-            const dataURL = canvas.toDataURL('image/png');
-            
-            // Create download link
-            const link = document.createElement('a');
-            link.href = dataURL;
-            link.download = fileName;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
+            this.showLoadingIndicator(true);
+            const blob = await this.mapToBlob(textureKey, texture, this.stateManager.getState('exportOptions'));
+            const fileName = `${baseName}_${mapType}.${UserInterface.extensionForBlob(blob)}`;
+            this.downloadBlob(blob, fileName);
             console.log(`Downloaded ${fileName}`);
         } catch (error) {
-            console.error('Error creating download:', error);
-            throw new Error('Failed to create downloadable image');
+            console.error(`Error downloading ${mapType} map:`, error);
+            this.showErrorMessage(`Failed to download ${mapType} map: ${error.message}`);
         } finally {
-            // Cleanup
-            renderer.dispose();
-            material.dispose();
+            this.showLoadingIndicator(false);
         }
     }
 
@@ -281,12 +1168,47 @@ export class UserInterface {
         const heightScaleSlider  = document.getElementById('heightScale');
         const bumpScaleSlider    = document.getElementById('bumpScale');
         const thresholdSlider    = document.getElementById('threshold');
+        const signedDoGCheckbox  = document.getElementById('signedDoG');
+        const invertBumpCheckbox = document.getElementById('invertBump');
+        const pyramidCheckbox    = document.getElementById('pyramidMode');
+        const bandCountSlider    = document.getElementById('bandCount');
+        const baseSigmaSlider    = document.getElementById('baseSigma');
+        const sigmaRatioSlider   = document.getElementById('sigmaRatio');
+
+        // Displacement controls
+        const useDisplacementCheckbox  = document.getElementById('useDisplacementMap');
+        const displacementScaleSlider  = document.getElementById('displacementScale');
+        const displacementMidSlider    = document.getElementById('displacementMidlevel');
+        const planeSegmentsSlider      = document.getElementById('planeSegments');
+
+        // Tiling controls
+        const tileableCheckbox      = document.getElementById('tileable');
+        const seamRemovalCheckbox   = document.getElementById('seamRemoval');
+        const seamWidthSlider       = document.getElementById('seamWidth');
+
+        // Preview controls
+        const repeatXSlider      = document.getElementById('previewRepeatX');
+        const repeatYSlider      = document.getElementById('previewRepeatY');
+        const offsetXSlider      = document.getElementById('previewOffsetX');
+        const offsetYSlider      = document.getElementById('previewOffsetY');
+        const uvCheckerCheckbox  = document.getElementById('uvChecker');
 
         // Normal controls
         const strengthSlider     = document.getElementById('strength');
         const normalScaleSlider  = document.getElementById('normalScale');
+        const normalConventionSelect = document.getElementById('normalConvention');
+        const gradientTypeSelect = document.getElementById('gradientType');
+        const gradientSigmaSlider = document.getElementById('gradientSigma');
         const useNormalMapCheckbox = document.getElementById('useNormalMap');
 
+        // AO controls
+        const aoRadiusSlider     = document.getElementById('aoRadius');
+        const aoSamplesSlider    = document.getElementById('aoSamples');
+        const aoHeightScaleSlider = document.getElementById('aoHeightScale');
+        const aoStrengthSlider   = document.getElementById('aoStrength');
+        const aoIntensitySlider  = document.getElementById('aoIntensity');
+        const useAOMapCheckbox   = document.getElementById('useAOMap');
+
         // Albedo controls
         const brightnessSlider   = document.getElementById('brightness');
         const contrastSlider     = document.getElementById('contrast');
@@ -301,14 +1223,51 @@ export class UserInterface {
         const emissionIntensitySlider = document.getElementById('emissionIntensity');
         const useEmissionMapCheckbox = document.getElementById('useEmissionMap');
 
+        // Roughness controls
+        const roughnessModeSelect = document.getElementById('roughnessMode');
+        const roughnessRadiusSlider = document.getElementById('roughnessRadius');
+        const levelsLowSlider = document.getElementById('levelsLow');
+        const levelsHighSlider = document.getElementById('levelsHigh');
+        const roughnessGammaSlider = document.getElementById('roughnessGamma');
+        const invertRoughnessCheckbox = document.getElementById('invertRoughness');
+        const useRoughnessMapCheckbox = document.getElementById('useRoughnessMap');
+
+        // Metalness controls
+        const metalnessModeSelect = document.getElementById('metalnessMode');
+        const metalnessColorPicker = document.getElementById('metalnessColor');
+        const hueMinSlider = document.getElementById('hueMin');
+        const hueMaxSlider = document.getElementById('hueMax');
+        const metalnessThresholdSlider = document.getElementById('metalnessThreshold');
+        const metalnessToleranceSlider = document.getElementById('metalnessTolerance');
+        const metalnessFeatherSlider = document.getElementById('metalnessFeather');
+        const invertMetalnessCheckbox = document.getElementById('invertMetalness');
+        const useMetalnessMapCheckbox = document.getElementById('useMetalnessMap');
+
         // Value displays
         const sigma1Value        = document.getElementById('sigma1Value');
         const sigma2Value        = document.getElementById('sigma2Value');
         const heightScaleValue   = document.getElementById('heightScaleValue');
         const bumpScaleValue     = document.getElementById('bumpScaleValue');
         const thresholdValue     = document.getElementById('thresholdValue');
+        const bandCountValue     = document.getElementById('bandCountValue');
+        const baseSigmaValue     = document.getElementById('baseSigmaValue');
+        const sigmaRatioValue    = document.getElementById('sigmaRatioValue');
+        const displacementScaleValue = document.getElementById('displacementScaleValue');
+        const displacementMidValue   = document.getElementById('displacementMidlevelValue');
+        const planeSegmentsValue     = document.getElementById('planeSegmentsValue');
         const strengthValue      = document.getElementById('strengthValue');
         const normalScaleValue   = document.getElementById('normalScaleValue');
+        const gradientSigmaValue = document.getElementById('gradientSigmaValue');
+        const seamWidthValue     = document.getElementById('seamWidthValue');
+        const repeatXValue       = document.getElementById('previewRepeatXValue');
+        const repeatYValue       = document.getElementById('previewRepeatYValue');
+        const offsetXValue       = document.getElementById('previewOffsetXValue');
+        const offsetYValue       = document.getElementById('previewOffsetYValue');
+        const aoRadiusValue      = document.getElementById('aoRadiusValue');
+        const aoSamplesValue     = document.getElementById('aoSamplesValue');
+        const aoHeightScaleValue = document.getElementById('aoHeightScaleValue');
+        const aoStrengthValue    = document.getElementById('aoStrengthValue');
+        const aoIntensityValue   = document.getElementById('aoIntensityValue');
         const brightnessValue    = document.getElementById('brightnessValue');
         const contrastValue      = document.getElementById('contrastValue');
         const saturationValue    = document.getElementById('saturationValue');
@@ -316,6 +1275,15 @@ export class UserInterface {
         const emissionExponentValue = document.getElementById('emissionExponentValue');
         const emissionBlurValue = document.getElementById('emissionBlurValue');
         const emissionIntensityValue = document.getElementById('emissionIntensityValue');
+        const roughnessRadiusValue = document.getElementById('roughnessRadiusValue');
+        const levelsLowValue = document.getElementById('levelsLowValue');
+        const levelsHighValue = document.getElementById('levelsHighValue');
+        const roughnessGammaValue = document.getElementById('roughnessGammaValue');
+        const hueMinValue = document.getElementById('hueMinValue');
+        const hueMaxValue = document.getElementById('hueMaxValue');
+        const metalnessThresholdValue = document.getElementById('metalnessThresholdValue');
+        const metalnessToleranceValue = document.getElementById('metalnessToleranceValue');
+        const metalnessFeatherValue = document.getElementById('metalnessFeatherValue');
 
         function safeSetSliderValue(slider, valueDisplay, value) {
             if (slider && valueDisplay) {
@@ -331,8 +1299,28 @@ export class UserInterface {
         safeSetSliderValue(heightScaleSlider, heightScaleValue, state.bumpOptions.heightScale);
         safeSetSliderValue(bumpScaleSlider, bumpScaleValue, state.bumpOptions.bumpScale);
         safeSetSliderValue(thresholdSlider, thresholdValue, state.bumpOptions.threshold);
+        safeSetSliderValue(bandCountSlider, bandCountValue, state.bumpOptions.bandCount);
+        safeSetSliderValue(baseSigmaSlider, baseSigmaValue, state.bumpOptions.baseSigma);
+        safeSetSliderValue(sigmaRatioSlider, sigmaRatioValue, state.bumpOptions.sigmaRatio);
+        safeSetSliderValue(displacementScaleSlider, displacementScaleValue, state.displacementOptions.scale);
+        safeSetSliderValue(displacementMidSlider, displacementMidValue, state.displacementOptions.midlevel);
+        safeSetSliderValue(planeSegmentsSlider, planeSegmentsValue, state.displacementOptions.segments);
+        safeSetSliderValue(seamWidthSlider, seamWidthValue, state.tilingOptions.seamWidth);
+        safeSetSliderValue(repeatXSlider, repeatXValue, state.preview.repeatX);
+        safeSetSliderValue(repeatYSlider, repeatYValue, state.preview.repeatY);
+        safeSetSliderValue(offsetXSlider, offsetXValue, state.preview.offsetX);
+        safeSetSliderValue(offsetYSlider, offsetYValue, state.preview.offsetY);
         safeSetSliderValue(strengthSlider, strengthValue, state.normalOptions.strength);
         safeSetSliderValue(normalScaleSlider, normalScaleValue, state.normalOptions.normalScale);
+        if (normalConventionSelect) normalConventionSelect.value = state.normalOptions.convention;
+        if (gradientTypeSelect) gradientTypeSelect.value = state.normalOptions.gradientType;
+        safeSetSliderValue(gradientSigmaSlider, gradientSigmaValue, state.normalOptions.gradientSigma);
+
+        safeSetSliderValue(aoRadiusSlider, aoRadiusValue, state.aoOptions.radius);
+        safeSetSliderValue(aoSamplesSlider, aoSamplesValue, state.aoOptions.samples);
+        safeSetSliderValue(aoHeightScaleSlider, aoHeightScaleValue, state.aoOptions.heightScale);
+        safeSetSliderValue(aoStrengthSlider, aoStrengthValue, state.aoOptions.strength);
+        safeSetSliderValue(aoIntensitySlider, aoIntensityValue, state.aoOptions.intensity);
 
         safeSetSliderValue(brightnessSlider, brightnessValue, state.albedoOptions.brightness);
         safeSetSliderValue(contrastSlider, contrastValue, state.albedoOptions.contrast);
@@ -343,14 +1331,43 @@ export class UserInterface {
         safeSetSliderValue(emissionBlurSlider, emissionBlurValue, state.emissionOptions.blurRadius);
         safeSetSliderValue(emissionIntensitySlider, emissionIntensityValue, state.emissionOptions.intensity);
 
+        safeSetSliderValue(roughnessRadiusSlider, roughnessRadiusValue, state.roughnessOptions.radius);
+        safeSetSliderValue(levelsLowSlider, levelsLowValue, state.roughnessOptions.levelsLow);
+        safeSetSliderValue(levelsHighSlider, levelsHighValue, state.roughnessOptions.levelsHigh);
+        safeSetSliderValue(roughnessGammaSlider, roughnessGammaValue, state.roughnessOptions.gamma);
+        if (roughnessModeSelect) roughnessModeSelect.value = state.roughnessOptions.mode;
+
+        safeSetSliderValue(hueMinSlider, hueMinValue, state.metalnessOptions.hueMin);
+        safeSetSliderValue(hueMaxSlider, hueMaxValue, state.metalnessOptions.hueMax);
+        safeSetSliderValue(metalnessThresholdSlider, metalnessThresholdValue, state.metalnessOptions.threshold);
+        safeSetSliderValue(metalnessToleranceSlider, metalnessToleranceValue, state.metalnessOptions.tolerance);
+        safeSetSliderValue(metalnessFeatherSlider, metalnessFeatherValue, state.metalnessOptions.feather);
+        if (metalnessModeSelect) metalnessModeSelect.value = state.metalnessOptions.mode;
+        if (metalnessColorPicker) {
+            metalnessColorPicker.value = '#' + new THREE.Color(state.metalnessOptions.color).getHexString();
+        }
+
         if (emissionColorPicker) {
             const colorHex = '#' + new THREE.Color(state.emissionOptions.color).getHexString();
             emissionColorPicker.value = colorHex;
         }
 
+        if (signedDoGCheckbox) signedDoGCheckbox.checked = !!state.bumpOptions.signed;
+        if (invertBumpCheckbox) invertBumpCheckbox.checked = !!state.bumpOptions.invert;
+        if (pyramidCheckbox) pyramidCheckbox.checked = !!state.bumpOptions.pyramid;
+        if (tileableCheckbox) tileableCheckbox.checked = !!state.tilingOptions.tileable;
+        if (seamRemovalCheckbox) seamRemovalCheckbox.checked = !!state.tilingOptions.seamRemoval;
+        if (uvCheckerCheckbox) uvCheckerCheckbox.checked = !!state.preview.uvChecker;
+        if (invertRoughnessCheckbox) invertRoughnessCheckbox.checked = !!state.roughnessOptions.invert;
+        if (invertMetalnessCheckbox) invertMetalnessCheckbox.checked = !!state.metalnessOptions.invert;
+
         if (useNormalMapCheckbox) useNormalMapCheckbox.checked = state.flags.useNormalMap;
+        if (useAOMapCheckbox) useAOMapCheckbox.checked = state.flags.useAOMap;
+        if (useDisplacementCheckbox) useDisplacementCheckbox.checked = state.flags.useDisplacementMap;
         if (useAlbedoMapCheckbox) useAlbedoMapCheckbox.checked = state.flags.useAlbedoMap;
         if (useEmissionMapCheckbox) useEmissionMapCheckbox.checked = state.flags.useEmissionMap;
+        if (useRoughnessMapCheckbox) useRoughnessMapCheckbox.checked = state.flags.useRoughnessMap;
+        if (useMetalnessMapCheckbox) useMetalnessMapCheckbox.checked = state.flags.useMetalnessMap;
 
         const self = this;
         function createSliderListener(slider, valueDisplay, section, key, immediate = false) {
@@ -368,9 +1385,12 @@ export class UserInterface {
                 if (immediate && key === 'normalScale' && self.callbacks.updateNormalScale) {
                     self.callbacks.updateNormalScale(v);
                 }
-                if (immediate && key === 'intensity' && self.callbacks.updateEmissiveIntensity) {
+                if (immediate && section === 'emissionOptions' && key === 'intensity' && self.callbacks.updateEmissiveIntensity) {
                     self.callbacks.updateEmissiveIntensity(v);
                 }
+                if (immediate && section === 'aoOptions' && key === 'intensity' && self.callbacks.updateAOIntensity) {
+                    self.callbacks.updateAOIntensity(v);
+                }
             });
             
             slider.addEventListener('change', () => {
@@ -378,16 +1398,98 @@ export class UserInterface {
             });
         }
 
+        function createCheckboxListener(checkbox, section, key, immediate = false) {
+            if (!checkbox) return;
+            checkbox.addEventListener('change', () => {
+                self.stateManager.updateState({
+                    [section]: { [key]: checkbox.checked }
+                });
+                if (!immediate && self.callbacks.debouncedApplyMaps) self.callbacks.debouncedApplyMaps();
+            });
+        }
+
+        function createSelectListener(select, section, key) {
+            if (!select) return;
+            select.addEventListener('change', () => {
+                self.stateManager.updateState({
+                    [section]: { [key]: select.value }
+                });
+                if (self.callbacks.debouncedApplyMaps) self.callbacks.debouncedApplyMaps();
+            });
+        }
+
         // Bump listeners
         createSliderListener(sigma1Slider, sigma1Value, 'bumpOptions', 'sigma1');
         createSliderListener(sigma2Slider, sigma2Value, 'bumpOptions', 'sigma2');
         createSliderListener(heightScaleSlider, heightScaleValue, 'bumpOptions', 'heightScale');
         createSliderListener(bumpScaleSlider, bumpScaleValue, 'bumpOptions', 'bumpScale');
         createSliderListener(thresholdSlider, thresholdValue, 'bumpOptions', 'threshold');
+        createCheckboxListener(signedDoGCheckbox, 'bumpOptions', 'signed');
+        createCheckboxListener(invertBumpCheckbox, 'bumpOptions', 'invert');
+        createCheckboxListener(pyramidCheckbox, 'bumpOptions', 'pyramid');
+        createSliderListener(bandCountSlider, bandCountValue, 'bumpOptions', 'bandCount');
+        createSliderListener(baseSigmaSlider, baseSigmaValue, 'bumpOptions', 'baseSigma');
+        createSliderListener(sigmaRatioSlider, sigmaRatioValue, 'bumpOptions', 'sigmaRatio');
+
+        // Tiling listeners
+        createCheckboxListener(tileableCheckbox, 'tilingOptions', 'tileable');
+        createCheckboxListener(seamRemovalCheckbox, 'tilingOptions', 'seamRemoval');
+        createSliderListener(seamWidthSlider, seamWidthValue, 'tilingOptions', 'seamWidth');
+
+        // Preview listeners (viewer only, no map regeneration)
+        createSliderListener(repeatXSlider, repeatXValue, 'preview', 'repeatX', true);
+        createSliderListener(repeatYSlider, repeatYValue, 'preview', 'repeatY', true);
+        createSliderListener(offsetXSlider, offsetXValue, 'preview', 'offsetX', true);
+        createSliderListener(offsetYSlider, offsetYValue, 'preview', 'offsetY', true);
+        createCheckboxListener(uvCheckerCheckbox, 'preview', 'uvChecker', true);
+
+        // Displacement listeners (applied directly, no map regeneration)
+        createSliderListener(displacementScaleSlider, displacementScaleValue, 'displacementOptions', 'scale', true);
+        createSliderListener(displacementMidSlider, displacementMidValue, 'displacementOptions', 'midlevel', true);
+        createSliderListener(planeSegmentsSlider, planeSegmentsValue, 'displacementOptions', 'segments', true);
+
+        if (useDisplacementCheckbox) {
+            useDisplacementCheckbox.addEventListener('change', () => {
+                self.stateManager.updateState({
+                    flags: { useDisplacementMap: useDisplacementCheckbox.checked }
+                });
+                
+                if (self.callbacks.toggleDisplacementMap) {
+                    self.callbacks.toggleDisplacementMap(useDisplacementCheckbox.checked);
+                }
+            });
+        }
+
+        // Keep the pyramid panel and its per-band weight sliders in sync with state
+        this.updatePyramidControls();
+        this.stateManager.subscribeToSection('bumpOptions', (changes) => {
+            if (changes.some(change => change.key === 'pyramid' || change.key === 'bandCount')) {
+                this.updatePyramidControls();
+            }
+        });
 
         // Normal listeners
         createSliderListener(strengthSlider, strengthValue, 'normalOptions', 'strength');
         createSliderListener(normalScaleSlider, normalScaleValue, 'normalOptions', 'normalScale', true);
+        createSelectListener(normalConventionSelect, 'normalOptions', 'convention');
+        createSelectListener(gradientTypeSelect, 'normalOptions', 'gradientType');
+        createSliderListener(gradientSigmaSlider, gradientSigmaValue, 'normalOptions', 'gradientSigma');
+        
+        // Sigma only applies to the derivative-of-Gaussian operator
+        if (gradientTypeSelect && gradientSigmaSlider) {
+            const updateSigmaEnabled = () => {
+                gradientSigmaSlider.disabled = gradientTypeSelect.value !== 'gaussian';
+            };
+            gradientTypeSelect.addEventListener('change', updateSigmaEnabled);
+            updateSigmaEnabled();
+        }
+
+        // AO listeners
+        createSliderListener(aoRadiusSlider, aoRadiusValue, 'aoOptions', 'radius');
+        createSliderListener(aoSamplesSlider, aoSamplesValue, 'aoOptions', 'samples');
+        createSliderListener(aoHeightScaleSlider, aoHeightScaleValue, 'aoOptions', 'heightScale');
+        createSliderListener(aoStrengthSlider, aoStrengthValue, 'aoOptions', 'strength');
+        createSliderListener(aoIntensitySlider, aoIntensityValue, 'aoOptions', 'intensity', true);
 
         // Albedo listeners
         createSliderListener(brightnessSlider, brightnessValue, 'albedoOptions', 'brightness');
@@ -400,6 +1502,34 @@ export class UserInterface {
         createSliderListener(emissionBlurSlider, emissionBlurValue, 'emissionOptions', 'blurRadius');
         createSliderListener(emissionIntensitySlider, emissionIntensityValue, 'emissionOptions', 'intensity', true);
 
+        // Roughness listeners
+        createSelectListener(roughnessModeSelect, 'roughnessOptions', 'mode');
+        createSliderListener(roughnessRadiusSlider, roughnessRadiusValue, 'roughnessOptions', 'radius');
+        createSliderListener(levelsLowSlider, levelsLowValue, 'roughnessOptions', 'levelsLow');
+        createSliderListener(levelsHighSlider, levelsHighValue, 'roughnessOptions', 'levelsHigh');
+        createSliderListener(roughnessGammaSlider, roughnessGammaValue, 'roughnessOptions', 'gamma');
+        createCheckboxListener(invertRoughnessCheckbox, 'roughnessOptions', 'invert');
+
+        // Metalness listeners
+        createSelectListener(metalnessModeSelect, 'metalnessOptions', 'mode');
+        createSliderListener(hueMinSlider, hueMinValue, 'metalnessOptions', 'hueMin');
+        createSliderListener(hueMaxSlider, hueMaxValue, 'metalnessOptions', 'hueMax');
+        createSliderListener(metalnessThresholdSlider, metalnessThresholdValue, 'metalnessOptions', 'threshold');
+        createSliderListener(metalnessToleranceSlider, metalnessToleranceValue, 'metalnessOptions', 'tolerance');
+        createSliderListener(metalnessFeatherSlider, metalnessFeatherValue, 'metalnessOptions', 'feather');
+        createCheckboxListener(invertMetalnessCheckbox, 'metalnessOptions', 'invert');
+
+        if (metalnessColorPicker) {
+            metalnessColorPicker.addEventListener('input', () => {
+                self.stateManager.updateState({
+                    metalnessOptions: { color: new THREE.Color(metalnessColorPicker.value).getHex() }
+                });
+            });
+            metalnessColorPicker.addEventListener('change', () => {
+                if (self.callbacks.debouncedApplyMaps) self.callbacks.debouncedApplyMaps();
+            });
+        }
+
         if (emissionColorPicker) {
             emissionColorPicker.addEventListener('input', () => {
                 const color = new THREE.Color(emissionColorPicker.value).getHex();
@@ -428,6 +1558,18 @@ export class UserInterface {
             });
         }
         
+        if (useAOMapCheckbox) {
+            useAOMapCheckbox.addEventListener('change', () => {
+                self.stateManager.updateState({
+                    flags: { useAOMap: useAOMapCheckbox.checked }
+                });
+                
+                if (self.callbacks.toggleAOMap) {
+                    self.callbacks.toggleAOMap(useAOMapCheckbox.checked);
+                }
+            });
+        }
+        
         if (useAlbedoMapCheckbox) {
             useAlbedoMapCheckbox.addEventListener('change', () => {
                 self.stateManager.updateState({
@@ -452,6 +1594,30 @@ export class UserInterface {
             });
         }
 
+        if (useRoughnessMapCheckbox) {
+            useRoughnessMapCheckbox.addEventListener('change', () => {
+                self.stateManager.updateState({
+                    flags: { useRoughnessMap: useRoughnessMapCheckbox.checked }
+                });
+                
+                if (self.callbacks.toggleRoughnessMap) {
+                    self.callbacks.toggleRoughnessMap(useRoughnessMapCheckbox.checked);
+                }
+            });
+        }
+
+        if (useMetalnessMapCheckbox) {
+            useMetalnessMapCheckbox.addEventListener('change', () => {
+                self.stateManager.updateState({
+                    flags: { useMetalnessMap: useMetalnessMapCheckbox.checked }
+                });
+                
+                if (self.callbacks.toggleMetalnessMap) {
+                    self.callbacks.toggleMetalnessMap(useMetalnessMapCheckbox.checked);
+                }
+            });
+        }
+
         const applyButton = document.getElementById('applyChanges');
         if (applyButton) applyButton.addEventListener('click', () => {
             if (self.callbacks.applyMaps) self.callbacks.applyMaps();
@@ -465,6 +1631,12 @@ export class UserInterface {
                 if (self.callbacks.applyMaps) self.callbacks.applyMaps();
                 event.preventDefault();
             }
+            // X swaps the A/B sides, unless typing into a control
+            const typing = ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName) && event.target.type !== 'range'
+                && event.target.type !== 'checkbox' && event.target.type !== 'radio';
+            if (!event.ctrlKey && !event.metaKey && !event.altKey && event.key.toLowerCase() === 'x' && !typing) {
+                self.swapCompareSides();
+            }
         });
 
         // Initialize control panel visibility based on current visualization mode